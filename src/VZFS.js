@@ -0,0 +1,651 @@
+/*
+
+Promise-based facade over the storageHierarchy actor.
+
+* every method sends one command to the actor and resolves with the payload of the matching success event, or rejects with a FilesystemError (see utils/errors.js) rebuilt from the failure event, so err.code is ENOENT, EEXIST, EBUSY and so on.
+* the operator handles one mutating command at a time, so those calls are queued and sent in order; the next one goes out once the actor is awaiting commands again.
+* reads (readFile, stat, readdir, cwd, ripFilesystemToJSON, listLocks) are sent as soon as the filesystem is initialized and may complete while a queued or in-flight mutation is still pending. await a write before reading it back.
+* close rejects reads still in flight with EIO.
+* each call is tagged with a request id; the actor echoes it in its reply, so replies are matched by id rather than by arrival order.
+* a command the operator rejects as busy is put back at the head of the queue and resent.
+* init takes options for the filesystem's locks (see promises/lockManager.js): lockPolicy, applied when a command's locks are contended, e.g. { type: "retry", deadlineMs: 2000 }, and lockDurationMs, the lease that is renewed while a command runs, and lockPruneIntervalMs, how often expired locks are pruned.
+* new VZFS({ coordinated: true }) runs the actor under the cross-context coordinator (see subsystems/coordinator.js); init then also takes heartbeatMs. its notifications (peerMutation, cwdInvalidated, leadershipChanged, channelPostFailed) are passed to the onNotification option.
+* locksPruned telemetry ({ pruned, remaining, durationMs }) goes to onNotification as well, coordinated or not.
+* readFile(path, { offset, length }) reads just that many bytes from offset on, and writeFileRange(path, offset, data) writes data over the file from offset on, growing it if needed; it resolves with { bytesWritten, size }. offsets and lengths are in bytes, for text files too.
+* transaction(steps) runs every step or none; if one fails it rejects with that step's error, carrying failedStep, the step's index.
+* stat resolves with { path, name, type, size, createdAt, updatedAt }, type being "file" or "directory", plus childCount for a directory.
+* writeFile creates the file or overwrites it in one command, so it keeps its place in the queue; it rejects with EISDIR if the path is a directory. it takes text or bytes: a string, an ArrayBuffer, a typed array, a DataView or a Blob. readFile resolves with what was written, a string or a Uint8Array; readFile(path, { encoding: "utf8" }) always gives text and { encoding: "binary" } always bytes.
+* new VZFS({ backend }) keeps filesystems in the given storage backend instead of IndexedDB (see backends/backend.js), e.g. createMemoryBackend() from backends/memory.js for tests, or createNodeDirectoryBackend({ root }) from backends/nodeDirectory.js to work on a folder on a Node host.
+
+*/
+import { createMachine, interpret } from "xstate"
+import storageHierarchy from "./subsystems/storageHierarchy.js"
+import coordinator from "./subsystems/coordinator.js"
+import { IOError, errorFromFailure } from "./utils/errors.js"
+
+function splitPath(path) {
+  const trimmed = path.length > 1 && path.endsWith("/") ? path.slice(0, -1) : path
+  const i = trimmed.lastIndexOf("/")
+  return {
+    parentPath: i === -1 ? "." : trimmed.slice(0, i + 1),
+    name: trimmed.slice(i + 1)
+  }
+}
+
+function entryName(key) {
+  return key
+    .split("/")
+    .filter(v => v !== "")
+    .pop()
+}
+
+const notificationTypes = [
+  "peerMutation",
+  "cwdInvalidated",
+  "leadershipChanged",
+  "channelPostFailed",
+  "locksPruned"
+]
+
+class VZFS {
+  constructor(
+    {
+      coordinated = false,
+      backend = null,
+      onNotification = () => {}
+    } = {}
+  ) {
+    this.onNotification = onNotification
+    this.queue = []
+    this.current = null
+    this.reads = new Map()
+    this.ready = true
+    this.initialized = false
+    this.nextRequestId = 1
+    const machine = coordinated ? coordinator : storageHierarchy
+    this.service = interpret(
+      createMachine({
+        predictableActionArguments: true,
+        invoke: {
+          id: "fs",
+          src: backend ? machine.withContext({
+            ...machine.context,
+            backend
+          }) : machine
+        },
+        on: {
+          "*": {
+            actions: (_, evt) => this.receive(
+              evt
+            )
+          }
+        }
+      })
+    ).start()
+  }
+
+  request(
+    event,
+    successType,
+    failureType,
+    concurrent = false
+  ) {
+    return new Promise(
+      (resolve, reject) => {
+        const entry = {
+          requestId: this.nextRequestId++,
+          event,
+          successType,
+          failureType,
+          resolve,
+          reject
+        }
+        if (concurrent && this.initialized) {
+          this.reads.set(
+            entry.requestId,
+            entry
+          )
+          this.send(
+            entry
+          )
+          return
+        }
+        this.queue.push(
+          entry
+        )
+        this.drain()
+      }
+    )
+  }
+
+  send(entry) {
+    this.service.children.get(
+      "fs"
+    ).send({
+      ...entry.event,
+      requestId: entry.requestId
+    })
+  }
+
+  drain() {
+    if (!this.ready || this.current || this.queue.length === 0) return
+    const next = this.queue.shift()
+    if (next.event.type !== "close") {
+      // set before sending: a command the actor fails at once is answered
+      // while send is still on the stack
+      this.current = next
+      this.ready = false
+    }
+    this.send(
+      next
+    )
+    if (next.event.type === "close") {
+      // close has no reply; the actor is back in uninitialized.idle already,
+      // and has stopped the reads still in flight
+      this.initialized = false
+      this.reads.forEach(
+        read => read.reject(
+          new IOError(
+            "The filesystem was closed before the command completed.",
+            {
+              operation: read.event.type
+            }
+          )
+        )
+      )
+      this.reads.clear()
+      next.resolve()
+      this.drain()
+    }
+  }
+
+  receive(evt) {
+    const current = this.current
+    if (evt.type === "vzfsAwaitingCommand") {
+      this.ready = true
+      this.drain()
+      return
+    }
+    if (notificationTypes.includes(evt.type)) {
+      this.onNotification(
+        evt
+      )
+      return
+    }
+    const read = this.reads.get(
+      evt.requestId
+    )
+    if (read && (evt.type === read.successType || evt.type === read.failureType)) {
+      this.reads.delete(
+        evt.requestId
+      )
+      if (evt.type === read.successType) read.resolve(evt);
+      else read.reject(errorFromFailure(evt));
+      return
+    }
+    if (!current || evt.requestId !== current.requestId) return
+    if (evt.type === "commandRejectedBusy") {
+      // resend once the operator announces it is awaiting commands again
+      this.current = null
+      this.queue.unshift(
+        current
+      )
+      return
+    }
+    if (evt.type === current.successType || evt.type === current.failureType) {
+      this.current = null
+      // a restored filesystem is left open, just like an initialized one
+      if (evt.type === "initSuccess" || evt.type === "restoreFilesystemFromJSONSuccess") this.initialized = true;
+      // an initialized operator announces when it is ready for the next
+      // command; an uninitialized actor is back in idle as soon as it replies
+      this.ready = !this.initialized
+      if (evt.type === current.successType) current.resolve(evt);
+      else current.reject(errorFromFailure(evt));
+      this.drain()
+    }
+  }
+
+  init(
+    filesystemName,
+    version = 1,
+    {
+      lockPolicy = {
+        type: "failFast"
+      },
+      lockDurationMs = 5000,
+      lockPruneIntervalMs = 30000,
+      heartbeatMs = 1000
+    } = {}
+  ) {
+    return this.request(
+      {
+        type: "init",
+        filesystemName,
+        version,
+        lockPolicy,
+        lockDurationMs,
+        lockPruneIntervalMs,
+        heartbeatMs
+      },
+      "initSuccess",
+      "initFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  listFilesystems() {
+    return this.request(
+      {
+        type: "listFilesystems"
+      },
+      "listFilesystemsSuccess",
+      "listFilesystemsFailure"
+    ).then(
+      evt => evt.filesystems
+    )
+  }
+
+  dropFilesystem(
+    fsName
+  ) {
+    return this.request(
+      {
+        type: "dropFilesystem",
+        fsName
+      },
+      "dropFilesystemSuccess",
+      "dropFilesystemFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  restoreFilesystemFromJSON(
+    fsName,
+    backup,
+    version = 1
+  ) {
+    return this.request(
+      {
+        type: "restoreFilesystemFromJSON",
+        fsName,
+        version,
+        backup
+      },
+      "restoreFilesystemFromJSONSuccess",
+      "restoreFilesystemFromJSONFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  close() {
+    return this.request(
+      {
+        type: "close"
+      },
+      null,
+      null
+    ).then(
+      () => undefined
+    )
+  }
+
+  cwd() {
+    return this.request(
+      {
+        type: "getDirectoryRecord"
+      },
+      "getDirectoryRecordSuccess",
+      "getDirectoryRecordFailure",
+      true
+    ).then(
+      evt => evt.data.cwd
+    )
+  }
+
+  chdir(
+    path
+  ) {
+    return this.request(
+      {
+        type: "changeDirectory",
+        data: {
+          newDirectoryPath: path
+        }
+      },
+      "changeDirectorySuccess",
+      "changeDirectoryFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  readFile(
+    path,
+    {
+      encoding,
+      offset,
+      length
+    } = {}
+  ) {
+    return this.request(
+      {
+        type: "readFile",
+        data: {
+          path,
+          encoding,
+          offset,
+          length
+        }
+      },
+      "readFileSuccess",
+      "readFileFailure",
+      true
+    ).then(
+      evt => evt.file.content
+    )
+  }
+
+  stat(
+    path
+  ) {
+    return this.request(
+      {
+        type: "stat",
+        data: {
+          path
+        }
+      },
+      "statSuccess",
+      "statFailure",
+      true
+    ).then(
+      evt => evt.stat
+    )
+  }
+
+  writeFile(
+    path,
+    data
+  ) {
+    const { parentPath, name } = splitPath(
+      path
+    )
+    return this.request(
+      {
+        type: "writeFile",
+        data: {
+          name,
+          parentPath,
+          content: data
+        }
+      },
+      "writeFileSuccess",
+      "writeFileFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  writeFileRange(
+    path,
+    offset,
+    data
+  ) {
+    return this.request(
+      {
+        type: "writeFileRange",
+        data: {
+          path,
+          offset,
+          content: data
+        }
+      },
+      "writeFileRangeSuccess",
+      "writeFileRangeFailure"
+    ).then(
+      ({ bytesWritten, size }) => ({
+        bytesWritten,
+        size
+      })
+    )
+  }
+
+  touch(
+    path
+  ) {
+    return this.request(
+      {
+        type: "updateFileTimestamp",
+        data: {
+          path
+        }
+      },
+      "updateFileTimestampSuccess",
+      "updateFileTimestampFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  unlink(
+    path
+  ) {
+    return this.request(
+      {
+        type: "deleteFile",
+        data: {
+          path
+        }
+      },
+      "deleteFileSuccess",
+      "deleteFileFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  moveFile(
+    path,
+    newParentPath
+  ) {
+    return this.request(
+      {
+        type: "moveFile",
+        data: {
+          path,
+          newParentPath
+        }
+      },
+      "moveFileSuccess",
+      "moveFileFailure"
+    ).then(
+      evt => evt.newFilePath
+    )
+  }
+
+  renameFile(
+    path,
+    newName
+  ) {
+    return this.request(
+      {
+        type: "renameFile",
+        data: {
+          path,
+          newName
+        }
+      },
+      "renameFileSuccess",
+      "renameFileFailure"
+    ).then(
+      evt => evt.newFilePath
+    )
+  }
+
+  mkdir(
+    path
+  ) {
+    const { parentPath, name } = splitPath(
+      path
+    )
+    return this.request(
+      {
+        type: "createDirectory",
+        data: {
+          name,
+          parentPath
+        }
+      },
+      "createDirectorySuccess",
+      "createDirectoryFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  readdir(
+    path = "."
+  ) {
+    return this.request(
+      {
+        type: "getDirectoryRecord",
+        data: {
+          path
+        }
+      },
+      "getDirectoryRecordSuccess",
+      "getDirectoryRecordFailure",
+      true
+    ).then(
+      evt => evt.data.childKeys.map(
+        entryName
+      )
+    )
+  }
+
+  rmdir(
+    path
+  ) {
+    return this.request(
+      {
+        type: "deleteDirectoryIfEmpty",
+        data: {
+          path
+        }
+      },
+      "deleteDirectoryIfEmptySuccess",
+      "deleteDirectoryIfEmptyFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  emptyDir(
+    path
+  ) {
+    return this.request(
+      {
+        type: "emptyDirectory",
+        data: {
+          path
+        }
+      },
+      "emptyDirectorySuccess",
+      "emptyDirectoryFailure"
+    ).then(
+      () => undefined
+    )
+  }
+
+  moveDirectory(
+    path,
+    newParentPath,
+    newName
+  ) {
+    return this.request(
+      {
+        type: "moveDirectory",
+        data: {
+          path,
+          newParentPath,
+          newName
+        }
+      },
+      "moveDirectorySuccess",
+      "moveDirectoryFailure"
+    ).then(
+      evt => evt.newDirectoryPath
+    )
+  }
+
+  renameDirectory(
+    path,
+    newName
+  ) {
+    return this.request(
+      {
+        type: "renameDirectory",
+        data: {
+          path,
+          newName
+        }
+      },
+      "renameDirectorySuccess",
+      "renameDirectoryFailure"
+    ).then(
+      evt => evt.newDirectoryPath
+    )
+  }
+
+  transaction(
+    steps
+  ) {
+    return this.request(
+      {
+        type: "transaction",
+        data: {
+          steps
+        }
+      },
+      "transactionSuccess",
+      "transactionFailure"
+    ).then(
+      evt => evt.results
+    )
+  }
+
+  ripFilesystemToJSON() {
+    return this.request(
+      {
+        type: "ripFilesystemToJSON"
+      },
+      "ripFilesystemToJSONSuccess",
+      "ripFilesystemToJSONFailure",
+      true
+    ).then(
+      evt => evt.backup
+    )
+  }
+
+  listLocks() {
+    return this.request(
+      {
+        type: "listLocks"
+      },
+      "listLocksSuccess",
+      "listLocksFailure",
+      true
+    ).then(
+      evt => evt.locks
+    )
+  }
+
+  stop() {
+    this.service.stop()
+  }
+}
+
+export default VZFS
@@ -0,0 +1,85 @@
+/*
+Storage backends
+----------------
+* a backend holds the collections of every filesystem (entity, content, lock and metadata; see promises/schema.js). storageHierarchy and the promise helpers only talk to it through the interface below, so the filesystem runs wherever a backend does.
+* backends/indexedDB.js keeps the collections in IndexedDB; backends/memory.js keeps them in Maps and sorted key arrays and loses them with the process; backends/nodeDirectory.js (Node only) maps each filesystem onto a directory on the host.
+
+Backend
+-------
+- listFilesystems() resolves [{ name, version }]
+- dropFilesystem(name)
+- open(name, version) resolves a connection, creating or migrating the collections first
+
+Connection
+----------
+- name, version, storeNames
+- transaction(storeNames, mode, operation) resolves what operation(tx) resolves. mode is "readonly" or "readwrite". the transaction commits once operation's promise resolves and rolls back if it rejects or tx.abort() was called.
+- close()
+* transactions whose stores overlap run one at a time, in the order they were opened, unless both are readonly.
+
+Transaction
+-----------
+- get(store, key) resolves the record or undefined
+- add(store, record) resolves the key; a taken key or unique index entry rejects with EEXIST
+- put(store, record) resolves the key, replacing any record under it
+- delete(store, key)
+- scan(store, query) resolves the matching records in key order
+- count(store, query) resolves how many records match
+- deleteMatching(store, query) deletes the matching records in one pass and resolves how many there were
+- abort()
+* query is { index, only, lower, upper, lowerOpen, upperOpen }, every field optional. with an index, records come back ordered by index key, then primary key.
+* a failed request rejects with a FilesystemError (see utils/errors.js) and leaves the transaction running; operation decides whether to carry on.
+* operation must not await anything but requests on tx: IndexedDB commits a transaction as soon as nothing is pending on it.
+*/
+
+const keyTypeRank = key => {
+  if (typeof key === "number") return 1
+  if (key instanceof Date) return 2
+  if (typeof key === "string") return 3
+  if (Array.isArray(key)) return 5
+  return 0
+}
+
+function isValidKey(key) {
+  const rank = keyTypeRank(key)
+  if (rank === 0 || (rank === 1 && Number.isNaN(key))) return false
+  return rank !== 5 || key.every(isValidKey)
+}
+
+// IndexedDB key order: numbers, then dates, then strings, then arrays
+function compareKeys(a, b) {
+  const rankA = keyTypeRank(a)
+  const rankB = keyTypeRank(b)
+  if (rankA !== rankB) return rankA - rankB
+  if (rankA === 5) {
+    for (let i = 0; i < a.length && i < b.length; i++) {
+      const c = compareKeys(a[i], b[i])
+      if (c !== 0) return c
+    }
+    return a.length - b.length
+  }
+  const valueA = rankA === 2 ? a.getTime() : a
+  const valueB = rankB === 2 ? b.getTime() : b
+  return valueA < valueB ? -1 : valueA > valueB ? 1 : 0
+}
+
+function keyMatches(key, { only, lower, upper, lowerOpen = false, upperOpen = false } = {}) {
+  if (only !== undefined) return compareKeys(key, only) === 0
+  if (lower !== undefined) {
+    const c = compareKeys(key, lower)
+    if (c < 0 || (c === 0 && lowerOpen)) return false
+  }
+  if (upper !== undefined) {
+    const c = compareKeys(key, upper)
+    if (c > 0 || (c === 0 && upperOpen)) return false
+  }
+  return true
+}
+
+// the key a record has under keyPath, or undefined when it has no valid one
+function keyOf(record, keyPath) {
+  const key = Array.isArray(keyPath) ? keyPath.map(p => record[p]) : record[keyPath]
+  return isValidKey(key) ? key : undefined
+}
+
+export { compareKeys, keyMatches, keyOf, isValidKey }
@@ -0,0 +1,314 @@
+import { upgradeDatabase, migrations } from "../promises/migrations.js"
+import { IOError, toFilesystemError } from "../utils/errors.js"
+
+/*
+IndexedDB backend
+-----------------
+* one IndexedDB database per filesystem. open runs the schema migrations (see promises/migrations.js) in the versionchange transaction.
+* every request made through a transaction is wrapped in a promise. a failed request's error event is cancelled, so the transaction stays alive and operation decides what to do about it.
+* createIndexedDBBackend takes the IndexedDB factory and key range constructor to use and the migration registry to run, for tests and for hosts without them as globals. indexedDBBackend uses the globals, looked up when first needed.
+* a database opened below version 3 may still hold a file's content in one record, which the chunked content code cannot read. open refuses it until it is opened at version 3 or later, which migrates it.
+*/
+
+function request(
+  makeRequest,
+  details
+){
+  return new Promise(
+    (res, rej) => {
+      const rq = makeRequest()
+      rq.onsuccess = () => {
+        res(
+          rq.result
+        )
+      }
+      rq.onerror = e => {
+        e.preventDefault()
+        rej(
+          toFilesystemError(
+            rq.error,
+            details
+          )
+        )
+      }
+    }
+  )
+}
+
+// content keyed by leafPath alone, from before the 2 -> 3 migration
+function hasUnchunkedContent(
+  db
+){
+  return db.objectStoreNames.contains("content") && !Array.isArray(
+    db.transaction(
+      "content",
+      "readonly"
+    ).objectStore(
+      "content"
+    ).keyPath
+  )
+}
+
+function toKeyRange(
+  IDBKeyRange,
+  {
+    only,
+    lower,
+    upper,
+    lowerOpen = false,
+    upperOpen = false
+  } = {}
+){
+  if(only !== undefined) return IDBKeyRange.only(
+    only
+  );
+  if(lower !== undefined && upper !== undefined) return IDBKeyRange.bound(
+    lower,
+    upper,
+    lowerOpen,
+    upperOpen
+  );
+  if(lower !== undefined) return IDBKeyRange.lowerBound(
+    lower,
+    lowerOpen
+  );
+  if(upper !== undefined) return IDBKeyRange.upperBound(
+    upper,
+    upperOpen
+  );
+  return undefined
+}
+
+function wrapTransaction(
+  t,
+  IDBKeyRange
+){
+  const source = (store, query = {}) => query.index ? t.objectStore(
+    store
+  ).index(
+    query.index
+  ) : t.objectStore(
+    store
+  )
+  return {
+    get: (store, key) => request(
+      () => t.objectStore(store).get(key),
+      { operation: "get" }
+    ),
+    add: (store, record) => request(
+      () => t.objectStore(store).add(record),
+      { operation: "add" }
+    ),
+    put: (store, record) => request(
+      () => t.objectStore(store).put(record),
+      { operation: "put" }
+    ),
+    delete: (store, key) => request(
+      () => t.objectStore(store).delete(key),
+      { operation: "delete" }
+    ),
+    scan: (store, query) => request(
+      () => source(store, query).getAll(toKeyRange(IDBKeyRange, query)),
+      { operation: "scan" }
+    ),
+    count: (store, query) => request(
+      () => source(store, query).count(toKeyRange(IDBKeyRange, query)),
+      { operation: "count" }
+    ),
+    // a single cursor walks the range and deletes as it goes
+    deleteMatching: (store, query) => new Promise(
+      (res, rej) => {
+        let deleted = 0
+        const rq = source(
+          store,
+          query
+        ).openCursor(
+          toKeyRange(IDBKeyRange, query)
+        )
+        rq.onsuccess = () => {
+          const cursor = rq.result
+          if(!cursor) return res(deleted);
+          cursor.delete()
+          deleted++
+          cursor.continue()
+        }
+        rq.onerror = e => {
+          e.preventDefault()
+          rej(
+            toFilesystemError(
+              rq.error,
+              { operation: "deleteMatching" }
+            )
+          )
+        }
+      }
+    ),
+    abort: () => {
+      try {
+        t.abort()
+      } catch (_) { }
+    }
+  }
+}
+
+function wrapDatabase(
+  db,
+  IDBKeyRange
+){
+  return {
+    name: db.name,
+    version: db.version,
+    get storeNames(){
+      return Array.from(
+        db.objectStoreNames
+      )
+    },
+    transaction: (storeNames, mode, operation) => {
+      let t
+      try {
+        t = db.transaction(
+          storeNames,
+          mode
+        )
+      } catch (e) {
+        return Promise.reject(
+          toFilesystemError(
+            e,
+            {
+              operation: "transaction"
+            }
+          )
+        )
+      }
+      const completion = new Promise(
+        (res, rej) => {
+          t.oncomplete = () => {
+            res()
+          }
+          t.onabort = () => {
+            rej(
+              toFilesystemError(
+                t.error || "Transaction aborted.",
+                {
+                  operation: "transaction"
+                }
+              )
+            )
+          }
+        }
+      )
+      return new Promise(
+        res => res(
+          operation(
+            wrapTransaction(
+              t,
+              IDBKeyRange
+            )
+          )
+        )
+      ).then(
+        result => completion.then(
+          () => result
+        ),
+        e => {
+          try {
+            t.abort()
+          } catch (_) { }
+          return completion.then(
+            () => { throw e },
+            () => { throw e }
+          )
+        }
+      )
+    },
+    close: () => db.close()
+  }
+}
+
+function createIndexedDBBackend({
+  indexedDB: factory,
+  IDBKeyRange: keyRange,
+  migrations: registry = migrations
+} = {}){
+  const idb = () => factory || globalThis.indexedDB
+  const range = () => keyRange || globalThis.IDBKeyRange
+  return {
+    listFilesystems: () => Promise.resolve(
+      typeof idb().databases === "function" ? idb().databases() : []
+    ).then(
+      databases => databases.map(
+        ({ name, version }) => ({
+          name,
+          version
+        })
+      )
+    ),
+    dropFilesystem: name => request(
+      () => idb().deleteDatabase(name),
+      {
+        path: name,
+        operation: "dropFilesystem"
+      }
+    ).then(
+      () => undefined
+    ),
+    open: (name, version) => new Promise(
+      (res, rej) => {
+        const rq = idb().open(
+          name,
+          version
+        )
+        rq.onsuccess = () => {
+          if(hasUnchunkedContent(rq.result)){
+            rq.result.close()
+            rej(
+              new IOError(
+                `Filesystem ${
+                  name
+                } stores file content in the format from before schema version 3. Open it at version 3 or later to migrate it.`,
+                {
+                  path: name,
+                  operation: "openFilesystem"
+                }
+              )
+            )
+            return
+          }
+          res(
+            wrapDatabase(
+              rq.result,
+              range()
+            )
+          )
+        }
+        rq.onerror = () => {
+          rej(
+            toFilesystemError(
+              rq.error,
+              {
+                path: name,
+                operation: "openFilesystem"
+              }
+            )
+          )
+        }
+        rq.onupgradeneeded = e => {
+          upgradeDatabase(
+            e.target.result,
+            e.target.transaction,
+            e.oldVersion,
+            e.newVersion,
+            registry
+          )
+        }
+      }
+    )
+  }
+}
+
+const indexedDBBackend = createIndexedDBBackend()
+
+export {
+  createIndexedDBBackend,
+  indexedDBBackend
+}
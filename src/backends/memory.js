@@ -0,0 +1,275 @@
+import { compareKeys, keyMatches, keyOf, isValidKey } from "./backend.js"
+import { stores as schemaStores } from "../promises/schema.js"
+import { AlreadyExistsError, InvalidArgumentError, IOError, toFilesystemError } from "../utils/errors.js"
+
+/*
+Memory backend
+--------------
+* every filesystem lives in a Map of stores, each holding its records as [key, record] pairs in a key-sorted array. nothing survives the backend object.
+* records are cloned on the way in and on the way out, as IndexedDB does, so callers never share objects with the store.
+* a readwrite transaction copies a store's array the first time it writes to it and swaps the copy in on commit, so an aborted or failed transaction leaves nothing behind.
+* transactions are queued per filesystem: one starts once every earlier transaction whose scope overlaps it, unless both are readonly, has finished.
+* open always creates the current schema (promises/schema.js) and records the version in the metadata store. the migration registry is IndexedDB's and is not run here.
+* createDatabase, upgradeSchema and connect are the engine on its own, for backends that keep a copy of their data in memory and write commits through somewhere else (see backends/nodeDirectory.js).
+*/
+
+const clone = value => structuredClone(value)
+
+const defer = typeof setImmediate === "function" ? setImmediate : fn => setTimeout(fn, 0)
+
+const toList = storeNames => Array.isArray(storeNames) ? storeNames : [storeNames]
+
+// index of key in entries, or of where it would be inserted
+function search(entries, key) {
+  let lo = 0
+  let hi = entries.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (compareKeys(entries[mid][0], key) < 0) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+function createStore({ options: { keyPath, autoIncrement = false }, indexes }) {
+  return {
+    keyPath,
+    autoIncrement,
+    indexes: Object.fromEntries(
+      indexes.map(([name, indexKeyPath, { unique = false } = {}]) => [name, { keyPath: indexKeyPath, unique }])
+    ),
+    entries: [],
+    nextKey: 1
+  }
+}
+
+function transactionError(message) {
+  return new IOError(message, { operation: "transaction" })
+}
+
+function openTransaction(database, scope, mode) {
+  const working = new Map()
+  let state = "active"
+
+  const storeFor = name => {
+    if (!scope.includes(name)) throw transactionError(`Store ${name} is not in this transaction's scope.`)
+    return working.get(name) || database.stores.get(name)
+  }
+  const writableStoreFor = name => {
+    if (mode !== "readwrite") throw transactionError("Cannot write in a readonly transaction.")
+    if (!working.has(name)) {
+      const store = storeFor(name)
+      working.set(name, { ...store, entries: store.entries.slice() })
+    }
+    return working.get(name)
+  }
+  const indexEntries = (store, index) => {
+    const definition = store.indexes[index]
+    if (!definition) throw transactionError(`No index ${index} on this store.`)
+    return store.entries
+      .map(([key, record]) => [keyOf(record, definition.keyPath), key, record])
+      .filter(([indexKey]) => indexKey !== undefined)
+      .sort((a, b) => compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]))
+  }
+  // [key, record] pairs, in index order when the query names an index
+  const matchingEntries = (store, query = {}) => {
+    if (query.index) return indexEntries(store, query.index).filter(([indexKey]) => keyMatches(indexKey, query)).map(([, key, record]) => [key, record])
+    return store.entries.filter(([key]) => keyMatches(key, query))
+  }
+  const matching = (name, query) => matchingEntries(storeFor(name), query).map(([, record]) => record)
+  const write = (name, value, overwrite) => {
+    const store = writableStoreFor(name)
+    const record = clone(value)
+    let key = keyOf(record, store.keyPath)
+    if (key === undefined) {
+      if (!store.autoIncrement || record[store.keyPath] !== undefined) {
+        throw new InvalidArgumentError(`Record has no valid key at ${store.keyPath}.`, { operation: overwrite ? "put" : "add" })
+      }
+      key = store.nextKey
+      record[store.keyPath] = key
+    }
+    if (store.autoIncrement && typeof key === "number" && key >= store.nextKey) store.nextKey = Math.floor(key) + 1
+    const i = search(store.entries, key)
+    const exists = i < store.entries.length && compareKeys(store.entries[i][0], key) === 0
+    if (exists && !overwrite) {
+      throw new AlreadyExistsError(`Key already exists in the object store.`, { operation: "add" })
+    }
+    Object.entries(store.indexes).forEach(([index, { keyPath, unique }]) => {
+      const indexKey = unique ? keyOf(record, keyPath) : undefined
+      if (indexKey === undefined) return
+      const taken = store.entries.some(([other, r]) => compareKeys(other, key) !== 0 && keyOf(r, keyPath) !== undefined && compareKeys(keyOf(r, keyPath), indexKey) === 0)
+      if (taken) throw new AlreadyExistsError(`Unique index ${index} already has an entry for this record.`, { operation: overwrite ? "put" : "add" })
+    })
+    if (exists) store.entries[i] = [key, record]
+    else store.entries.splice(i, 0, [key, record])
+    return clone(key)
+  }
+  // requests take effect at once, in the order they are made, but settle in a
+  // later task, as IndexedDB's do, so a busy transaction cannot starve timers
+  const run = (operation, fn) => new Promise((res, rej) => {
+    if (state !== "active") throw transactionError(`Transaction is ${state}; cannot ${operation}.`)
+    try {
+      const result = fn()
+      defer(() => res(result))
+    } catch (e) {
+      if (e.operation === undefined || e.operation === "transaction") e.operation = operation
+      defer(() => rej(e))
+    }
+  })
+
+  const tx = {
+    get: (name, key) => run("get", () => {
+      if (!isValidKey(key)) throw new InvalidArgumentError("Invalid key.")
+      const { entries } = storeFor(name)
+      const i = search(entries, key)
+      return i < entries.length && compareKeys(entries[i][0], key) === 0 ? clone(entries[i][1]) : undefined
+    }),
+    add: (name, record) => run("add", () => write(name, record, false)),
+    put: (name, record) => run("put", () => write(name, record, true)),
+    delete: (name, key) => run("delete", () => {
+      const { entries } = writableStoreFor(name)
+      const i = search(entries, key)
+      if (i < entries.length && compareKeys(entries[i][0], key) === 0) entries.splice(i, 1)
+    }),
+    scan: (name, query) => run("scan", () => clone(matching(name, query))),
+    count: (name, query) => run("count", () => matching(name, query).length),
+    deleteMatching: (name, query) => run("deleteMatching", () => {
+      const store = writableStoreFor(name)
+      const doomed = new Set(matchingEntries(store, query).map(([, record]) => record))
+      store.entries = store.entries.filter(([, record]) => !doomed.has(record))
+      return doomed.size
+    }),
+    abort: () => {
+      if (state === "active") state = "aborted"
+    }
+  }
+
+  // ends the transaction and hands back the stores it changed, or null if it
+  // was aborted. nothing is visible to other transactions until they are
+  // swapped in with applyChanges
+  const finish = () => {
+    if (state !== "active") return null
+    state = "committed"
+    return working
+  }
+  return { tx, finish, abort: tx.abort }
+}
+
+function applyChanges(database, changes) {
+  changes.forEach((store, name) => database.stores.set(name, store))
+}
+
+// start every queued transaction that nothing before it blocks
+function pump(database) {
+  database.queue.forEach((entry, i) => {
+    if (entry.running) return
+    const blocked = database.queue.slice(0, i).some(
+      other => other.scope.some(s => entry.scope.includes(s)) && !(other.mode === "readonly" && entry.mode === "readonly")
+    )
+    if (blocked) return
+    entry.running = true
+    entry.start()
+  })
+}
+
+function createDatabase(name) {
+  return { name, version: 0, stores: new Map(), queue: [] }
+}
+
+// creates the current schema in a database below version and records the
+// upgrade in its metadata store; a database above version is an error
+function upgradeSchema(database, requestedVersion) {
+  // like IndexedDB, no version means the current one, or 1 for a new filesystem
+  const version = requestedVersion === undefined ? Math.max(database.version, 1) : requestedVersion
+  if (version < database.version) throw new IOError(
+    `The requested version (${version}) is less than the existing version (${database.version}).`,
+    { path: database.name, operation: "openFilesystem" }
+  )
+  if (database.version === version) return false
+  Object.entries(schemaStores).forEach(([storeName, definition]) => {
+    if (!database.stores.has(storeName)) database.stores.set(storeName, createStore(definition))
+  })
+  database.stores.get("metadata").entries = [["schemaVersion", {
+    key: "schemaVersion",
+    version,
+    previousVersion: database.version,
+    migrations: [],
+    migratedAt: Date.now()
+  }]]
+  database.version = version
+  return true
+}
+
+// a connection over database. persist, if given, is called with the stores a
+// readwrite transaction changed (a Map of store name to store) before they are
+// swapped in; the transaction only commits once it resolves.
+function connect(database, { persist } = {}) {
+  let closed = false
+  return {
+    name: database.name,
+    version: database.version,
+    get storeNames() {
+      return Array.from(database.stores.keys())
+    },
+    transaction: (storeNames, mode, operation) => {
+      if (closed) return Promise.reject(transactionError(`Connection to ${database.name} is closed.`))
+      const scope = toList(storeNames)
+      const missing = scope.find(s => !database.stores.has(s))
+      if (missing) return Promise.reject(transactionError(`No store named ${missing}.`))
+      const entry = { scope, mode, running: false }
+      const started = new Promise(res => { entry.start = res })
+      database.queue.push(entry)
+      pump(database)
+      return started.then(() => {
+        const { tx, finish, abort } = openTransaction(database, scope, mode)
+        const done = () => {
+          database.queue.splice(database.queue.indexOf(entry), 1)
+          pump(database)
+        }
+        return new Promise(res => res(operation(tx))).then(
+          result => {
+            const changes = finish()
+            if (!changes) throw transactionError("Transaction aborted.")
+            return Promise.resolve(persist && changes.size ? persist(changes) : undefined).then(
+              () => {
+                applyChanges(database, changes)
+                return result
+              },
+              e => {
+                throw toFilesystemError(e, { operation: "transaction" })
+              }
+            )
+          },
+          e => {
+            abort()
+            throw e
+          }
+        ).finally(done)
+      })
+    },
+    close: () => {
+      closed = true
+    }
+  }
+}
+
+function createMemoryBackend() {
+  const databases = new Map()
+  return {
+    listFilesystems: () => Promise.resolve(
+      Array.from(databases.values()).map(({ name, version }) => ({ name, version }))
+    ),
+    dropFilesystem: name => {
+      databases.delete(name)
+      return Promise.resolve()
+    },
+    open: (name, version) => new Promise(res => {
+      const database = databases.get(name) || createDatabase(name)
+      upgradeSchema(database, version)
+      databases.set(name, database)
+      res(connect(database))
+    })
+  }
+}
+
+export { createMemoryBackend, createDatabase, upgradeSchema, connect }
@@ -0,0 +1,262 @@
+import { mkdir, readdir, readFile, writeFile, rm, rename, stat, open } from "node:fs/promises"
+import { join } from "node:path"
+import { compareKeys } from "./backend.js"
+import { createDatabase, upgradeSchema, connect } from "./memory.js"
+import { InvalidArgumentError, toFilesystemError } from "../utils/errors.js"
+import { chunkSize, toChunks } from "../utils/content.js"
+
+/*
+Node host-directory backend
+---------------------------
+* each filesystem is a directory under root, named after the filesystem. a VZFS directory is a host directory and a VZFS file a host file holding its content; "/" is the filesystem's directory itself.
+* what the host tree cannot hold, entity timestamps, whether each file is text or bytes and the metadata store, is kept in a sidecar next to it, <name>.vzfs.json. a filesystem exists for as long as its sidecar does.
+* open reads the whole tree into memory. files and directories added on the host since the sidecar was written are adopted with their host times, as text if they are valid UTF-8 and as bytes otherwise, entities whose host entry is gone are dropped, and host entries whose names VZFS does not allow are left alone and never listed.
+* transactions run in memory (see backends/memory.js). a commit is written to the host before it becomes visible: removed entities are deleted, new directories created, new or changed content written, and the sidecar rewritten. content is written a chunk at a time, so a range write only rewrites the chunks it touched; new files are written whole. if a write fails the transaction rejects with EIO, but whatever was already written stays.
+* locks live in memory only. one process at a time should open a filesystem; another will not see its changes until it opens the filesystem again.
+*/
+
+const validName = name => /^[a-zA-Z0-9_.-]+$/.test(name) && name !== "." && name !== ".."
+
+const sidecarSuffix = ".vzfs.json"
+
+// the encoding of a host file's bytes: what the sidecar recorded for it, except
+// that files it does not know about, or text files that no longer decode, are
+// text only if they are valid UTF-8
+function encodingOf(bytes, recorded) {
+  if (recorded === "binary") return "binary"
+  try {
+    new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(bytes)
+    return "utf8"
+  } catch (_) {
+    return "binary"
+  }
+}
+
+// writes a file's changed chunks in place and cuts it to size. a new file, or
+// one that is gone from the host, is written whole from all of its chunks
+async function writeHostFile(file, size, changed, allChunks) {
+  let handle
+  try {
+    handle = await open(file, changed ? "r+" : "w")
+  } catch (e) {
+    if (e.code !== "ENOENT" || !changed) throw e
+    handle = await open(file, "w")
+    changed = null
+  }
+  try {
+    for (const { chunkIndex, content } of changed || allChunks()) {
+      await handle.write(content, 0, content.length, chunkIndex * chunkSize)
+    }
+    await handle.truncate(size)
+  } finally {
+    await handle.close()
+  }
+}
+
+function byKey(entries) {
+  return entries.sort((a, b) => compareKeys(a[0], b[0]))
+}
+
+// keys only in before, keys only in after, and keys whose record was replaced
+function diffEntries(before, after) {
+  const old = new Map(before)
+  const current = new Map(after)
+  return {
+    removed: before.filter(([key]) => !current.has(key)).map(([, record]) => record),
+    added: after.filter(([key]) => !old.has(key)).map(([, record]) => record),
+    changed: after.filter(([key, record]) => old.has(key) && old.get(key) !== record).map(([, record]) => record)
+  }
+}
+
+function createNodeDirectoryBackend({ root = "." } = {}) {
+  const databases = new Map()
+
+  const directoryOf = name => {
+    if (typeof name !== "string" || !validName(name)) throw new InvalidArgumentError(
+      `Invalid filesystem name: ${name}. Filesystem names must be alphanumeric, dashes, dots, and underscores.`,
+      { path: name, operation: "openFilesystem" }
+    )
+    return join(root, name)
+  }
+  const sidecarOf = name => join(root, name + sidecarSuffix)
+  const hostPath = (directory, path) => join(directory, ...path.split("/").filter(v => v !== ""))
+
+  const readSidecar = name => readFile(sidecarOf(name), "utf8").then(
+    JSON.parse,
+    e => {
+      if (e.code === "ENOENT") return null
+      throw e
+    }
+  )
+  const writeSidecar = async (database, entities = database.stores.get("entity").entries) => {
+    const target = sidecarOf(database.name)
+    await writeFile(target + ".tmp", JSON.stringify({
+      version: database.version,
+      entities: Object.fromEntries(entities),
+      metadata: database.stores.get("metadata").entries.map(([, record]) => record)
+    }, null, 2))
+    await rename(target + ".tmp", target)
+  }
+
+  // entities and content for everything under directory, reusing what the
+  // sidecar recorded about entries that are still there. sidecars from before
+  // encodings were kept on entities list them separately
+  const readTree = async (directory, known, encodings = {}) => {
+    const entities = []
+    const contents = []
+    // a file's size is always that of its content on the host
+    const adopt = (path, parentPath, name, isLeaf, hostStat, bytes) => {
+      const recorded = known[path]
+      const entity = recorded && recorded.isLeaf === isLeaf ? recorded : {
+        name,
+        path,
+        isLeaf,
+        parentPath,
+        createdAt: Math.round(hostStat.birthtimeMs || hostStat.mtimeMs),
+        updatedAt: Math.round(hostStat.mtimeMs)
+      }
+      if (!isLeaf) return entities.push([path, entity])
+      const encoding = encodingOf(bytes, recorded && (recorded.encoding || encodings[path]))
+      entities.push([path, { ...entity, size: bytes.length, encoding }])
+      contents.push(...toChunks(path, bytes).map(chunk => [[path, chunk.chunkIndex], chunk]))
+    }
+    const visit = async (hostDirectory, path) => {
+      for (const entry of await readdir(hostDirectory, { withFileTypes: true })) {
+        if (!validName(entry.name)) continue
+        const entryPath = join(hostDirectory, entry.name)
+        if (entry.isDirectory()) {
+          adopt(path + entry.name + "/", path, entry.name, false, await stat(entryPath))
+          await visit(entryPath, path + entry.name + "/")
+        } else if (entry.isFile()) {
+          const bytes = await readFile(entryPath)
+          adopt(path + entry.name, path, entry.name, true, await stat(entryPath), new Uint8Array(
+            bytes.buffer,
+            bytes.byteOffset,
+            bytes.byteLength
+          ))
+        }
+      }
+    }
+    adopt("/", null, "", false, await stat(directory))
+    await visit(directory, "/")
+    return {
+      entities: byKey(entities),
+      contents: byKey(contents)
+    }
+  }
+
+  // writes a commit's entity and content changes to the host tree
+  const persistTo = (database, directory) => async changes => {
+    const entriesOf = store => (changes.get(store) || database.stores.get(store)).entries
+    if (changes.has("entity") || changes.has("content")) {
+      const entities = diffEntries(database.stores.get("entity").entries, entriesOf("entity"))
+      const contents = diffEntries(database.stores.get("content").entries, entriesOf("content"))
+      const leaves = new Map(entriesOf("entity").filter(([, e]) => e.isLeaf))
+      const removed = entities.removed.map(e => e.path).sort((a, b) => b.length - a.length)
+      for (const path of removed) {
+        if (path !== "/") await rm(hostPath(directory, path), { recursive: true, force: true })
+      }
+      const created = entities.added.filter(e => !e.isLeaf).map(e => e.path).sort((a, b) => a.length - b.length)
+      for (const path of created) {
+        await mkdir(hostPath(directory, path), { recursive: true })
+      }
+      const whole = new Set(entities.added.filter(e => e.isLeaf).map(e => e.path))
+      const changed = new Map()
+      for (const chunk of [...contents.added, ...contents.changed]) {
+        if (!changed.has(chunk.leafPath)) changed.set(chunk.leafPath, [])
+        changed.get(chunk.leafPath).push(chunk)
+      }
+      const written = new Set([...whole, ...changed.keys(), ...contents.removed.map(c => c.leafPath)])
+      const chunksOf = path => entriesOf("content").filter(([key]) => key[0] === path).map(([, chunk]) => chunk)
+      for (const path of written) {
+        if (!leaves.has(path)) continue
+        const size = leaves.get(path).size
+        await writeHostFile(
+          hostPath(directory, path),
+          typeof size === "number" ? size : chunksOf(path).reduce((total, chunk) => total + chunk.content.length, 0),
+          whole.has(path) ? null : changed.get(path) || [],
+          () => chunksOf(path)
+        )
+      }
+    }
+    if (changes.has("entity") || changes.has("metadata")) {
+      await writeSidecar({
+        ...database,
+        stores: new Map([...database.stores, ...changes])
+      }, entriesOf("entity"))
+    }
+  }
+
+  const load = async name => {
+    const directory = directoryOf(name)
+    await mkdir(directory, { recursive: true })
+    const sidecar = await readSidecar(name)
+    const database = createDatabase(name)
+    if (sidecar) {
+      upgradeSchema(database, sidecar.version)
+      const { entities, contents } = await readTree(directory, sidecar.entities || {}, sidecar.encodings)
+      database.stores.get("entity").entries = entities
+      database.stores.get("content").entries = contents
+      database.stores.get("metadata").entries = byKey(sidecar.metadata.map(record => [record.key, record]))
+    }
+    return {
+      database,
+      persist: persistTo(database, directory),
+      adopt: () => readTree(directory, {})
+    }
+  }
+
+  return {
+    listFilesystems: () => readdir(root).then(
+      names => Promise.all(
+        names.filter(n => n.endsWith(sidecarSuffix)).map(
+          n => readFile(join(root, n), "utf8").then(
+            text => ({
+              name: n.slice(0, -sidecarSuffix.length),
+              version: JSON.parse(text).version
+            })
+          )
+        )
+      ),
+      e => {
+        if (e.code === "ENOENT") return []
+        throw toFilesystemError(e, { operation: "listFilesystems" })
+      }
+    ),
+    dropFilesystem: name => Promise.resolve().then(async () => {
+      const directory = directoryOf(name)
+      databases.delete(name)
+      await rm(directory, { recursive: true, force: true })
+      await rm(sidecarOf(name), { force: true })
+    }).catch(
+      e => {
+        throw toFilesystemError(e, { path: name, operation: "dropFilesystem" })
+      }
+    ),
+    open: (name, version) => {
+      if (!databases.has(name)) databases.set(name, load(name).catch(e => {
+        databases.delete(name)
+        throw e
+      }))
+      return databases.get(name).then(async ({ database, persist, adopt }) => {
+        const created = database.version === 0
+        if (upgradeSchema(database, version)) {
+          // a directory opened for the first time keeps what is already in it
+          if (created) {
+            const { entities, contents } = await adopt()
+            database.stores.get("entity").entries = entities
+            database.stores.get("content").entries = contents
+          }
+          await writeSidecar(database)
+        }
+        return connect(database, { persist })
+      }).catch(
+        e => {
+          throw toFilesystemError(e, { path: name, operation: "openFilesystem" })
+        }
+      )
+    }
+  }
+}
+
+export { createNodeDirectoryBackend }
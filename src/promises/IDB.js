@@ -1,4 +1,27 @@
 import { normalize, absPathToPieces } from  "../utils/path.js"
+import {
+  NotFoundError,
+  AlreadyExistsError,
+  NotADirectoryError,
+  IsADirectoryError,
+  DirectoryNotEmptyError,
+  BusyError,
+  InvalidArgumentError,
+  PermissionDeniedError,
+  IOError,
+  toFilesystemError
+} from "../utils/errors.js"
+import {
+  encodeContent,
+  checkEncoding,
+  decodeContent,
+  byteRange,
+  chunkSpan,
+  patchedRange,
+  toChunks,
+  bytesFromChunks,
+  patchChunks
+} from "../utils/content.js"
 
 /*
 Legend:
@@ -13,136 +36,60 @@ Entity
 - parentId
 - createdAt
 - updatedAt
+- <size>
+- <encoding>
+* size and encoding are kept on leaves: the length of their content in bytes, so a file can be stat'ed without reading its content, and whether it holds text ("utf8") or bytes ("binary"). both are set whenever the content is written.
 
 Content
 -------
 - leafPath
-- <body>
+- chunkIndex
+- <content>
+* one record per chunk of a leaf's bytes, keyed by [leafPath, chunkIndex] (see utils/content.js). reads and writes of a byte range only touch the chunks it overlaps.
 
 Lock
 ----
-- expiry
-- pathPrefix
-- createdAt
-*/
+* the lock table is owned by lockManager.js
 
-function lockPath( 
-  db, 
-  cwd, 
-  path, 
-  durationMs 
-){
-  const n = normalize(
-    path, 
-    absPathToPieces(
-      cwd
-    )
-  )
-  return new Promise(
-    (res, rej) => {
-      const table = db
-        .transaction(
-          "lock",
-          "readwrite"
-        ).objectStore(
-          "lock"
-        )
-      const time = Date.now()
-      const rq = table.add({
-        pathPrefix: n,
-        expiry: time + durationMs,
-        createdAt: time
-      })
-      rq.onsuccess = e => {
-        res(
-          e.target.result
-        )
-      }
-      rq.onerror = e => {
-        console.log(`lock acquisition error: ${e.target.error}`)
-        rej(
-          `Could not acquire lock for path prefix ${
-            n
-          }`
-        )
-      }
-    }
-  )
-}
+Transactions
+------------
+* db is a backend connection and tx a transaction on it (see backends/backend.js); nothing here knows which backend it is talking to.
+* every helper accepts an optional transaction as its last argument.
+* when one is passed, the helper issues its requests against it and never commits or aborts it; the owner of the transaction does.
+* when none is passed, the helper opens its own transaction over every store it touches, so composite helpers are still all-or-nothing.
+* helpers sharing a transaction must not await anything but requests on that transaction, or it will autocommit underneath them.
 
-function removeLock( // convert to path
-  db, 
-  path
-){
-  return new Promise(
-    ir => {
-      const lockTable = db
-        .transaction(
-          "lock",
-          "readwrite"
-        ).objectStore(
-          "lock"
-        )
-      const rq = lockTable
-        .delete(
-          path
-        )
-      rq.onsuccess = () => {
-        ir(1)
-      }
-      rq.onerror = () => {
-        ir(0)
-      }
-    }
-  )
-}
+Errors
+------
+* helpers reject with the FilesystemError subclasses in utils/errors.js, carrying a code, the offending path and the helper's name as operation.
+*/
 
-function getLock( // convert to path
+function withTransaction(
   db,
-  path
+  storeNames,
+  mode,
+  operation,
+  tx
 ){
-  const n = normalize(
-    path,
-    absPathToPieces(
-      cwd
+  if(tx) return new Promise(
+    res => res(
+      operation(
+        tx
+      )
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const lockTable = db
-        .transaction(
-          "lock",
-          "readonly"
-        ).objectStore("lock")
-      const rq = lockTable
-        .get(
-          n
-        )
-      rq.onsuccess = e => {
-        if(e.target.result) res(
-          e.target.result
-        );
-        else rej(
-          `Could not find lock with path prefix ${
-            n
-          }`
-        )
-      }
-      rq.onerror = () => {
-        rej(
-          `Could not get lock with path prefix ${
-            n
-          }.`
-        )
-      }
-    }
+  return db.transaction(
+    storeNames,
+    mode,
+    operation
   )
 }
 
-function entityExists( 
+function entityExists(
   db,
   cwd,
-  path
+  path,
+  tx
 ){
   const n = normalize(
     path,
@@ -150,30 +97,30 @@ function entityExists(
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const entityTable = db
-        .transaction(
-          "entity",
-          "readonly"
-        ).objectStore(
-          "entity"
-        )
-      const rq = entityTable
-        .count(
-          n
-        )
-      rq.onsuccess = e => {
-        res(rq.result > 0)
+  return withTransaction(
+    db,
+    "entity",
+    "readonly",
+    t => t.count(
+      "entity",
+      {
+        only: n
       }
-      rq.onerror = () => {
-        rej(
+    ).then(
+      count => count > 0,
+      () => {
+        throw new IOError(
           `Could not count entities with path ${
             n
-          }.`
+          }.`,
+          {
+            path: n,
+            operation: "entityExists"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
@@ -219,45 +166,180 @@ function entityExists(
   )
 }*/
 
-function joinContentToLeaf(
-  db,
-  leaf
+// the query for a leaf's chunks, from chunk first to chunk last
+const chunkRange = (
+  leafPath,
+  first = 0,
+  last = Infinity
+) => ({
+  lower: [leafPath, first],
+  upper: [leafPath, last]
+})
+
+// the bytes of a leaf within range, read from the chunks that overlap it
+function readChunks(
+  t,
+  leafPath,
+  range
 ){
-  return new Promise(
-    (res, rej) => {
-      const contentTable = db
-        .transaction(
-          "content",
-          "readonly"
-        ).objectStore(
-          "content"
-        )
-      const rq = contentTable
-        .get(
-          IDBKeyRange.only(
-            leaf.path
+  const {
+    first,
+    last
+  } = chunkSpan(
+    range
+  )
+  if(last < first) return Promise.resolve(
+    new Uint8Array(0)
+  )
+  return t.scan(
+    "content",
+    chunkRange(
+      leafPath,
+      first,
+      last
+    )
+  ).then(
+    chunks => bytesFromChunks(
+      chunks,
+      range
+    )
+  )
+}
+
+// deletes a leaf's chunks from chunk from up to, not including, chunk to
+function deleteChunks(
+  t,
+  leafPath,
+  from,
+  to
+){
+  const deletes = []
+  for(let i = from; i < to; i++) deletes.push(
+    t.delete(
+      "content",
+      [leafPath, i]
+    )
+  );
+  return Promise.all(
+    deletes
+  )
+}
+
+// replaces a leaf's chunks with those of bytes
+function writeChunks(
+  t,
+  leafPath,
+  bytes
+){
+  const chunks = toChunks(
+    leafPath,
+    bytes
+  )
+  return t.count(
+    "content",
+    chunkRange(
+      leafPath
+    )
+  ).then(
+    existing => Promise.all(
+      [
+        ...chunks.map(
+          chunk => t.put(
+            "content",
+            chunk
           )
+        ),
+        deleteChunks(
+          t,
+          leafPath,
+          chunks.length,
+          existing
         )
-      rq.onsuccess = e => {
-        res({
-          ...leaf,
-          content: e.target.result.content || null
-        })
-      }
-      rq.onerror = (e) => {
-        res({
+      ]
+    )
+  )
+}
+
+// a leaf joined to its content, whole or the byte range { offset, length },
+// as text or bytes: its own encoding unless another one is asked for
+function readLeafContent(
+  db,
+  leaf,
+  {
+    encoding,
+    offset,
+    length
+  } = {},
+  tx
+){
+  return withTransaction(
+    db,
+    "content",
+    "readonly",
+    t => {
+      checkEncoding(
+        encoding,
+        leaf.path,
+        "readFile"
+      )
+      const range = byteRange(
+        {
+          offset,
+          length
+        },
+        leaf.path,
+        "readFile"
+      )
+      const as = encoding || leaf.encoding || "utf8"
+      return readChunks(
+        t,
+        leaf.path,
+        range
+      ).then(
+        bytes => ({
           ...leaf,
-          content: null
-        })
-      }
-    }
+          encoding: as,
+          size: typeof leaf.size === "number" ? leaf.size : bytes.length,
+          content: decodeContent(
+            bytes,
+            as
+          )
+        }),
+        () => {
+          throw new IOError(
+            `Could not read content of leaf with path ${
+              leaf.path
+            }.`,
+            {
+              path: leaf.path,
+              operation: "readFile"
+            }
+          )
+        }
+      )
+    },
+    tx
+  )
+}
+
+function joinContentToLeaf(
+  db,
+  leaf,
+  tx
+){
+  return readLeafContent(
+    db,
+    leaf,
+    {},
+    tx
   )
 }
 
 function getEntity(
-  db, 
+  db,
   cwd,
-  path
+  path,
+  tx
 ){
   const n = normalize(
     path,
@@ -265,35 +347,39 @@ function getEntity(
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const entityTable = db
-        .transaction(
-          "entity",
-          "readonly"
-        ).objectStore("entity")
-      const rq = entityTable
-        .get(
-          n
-        );
-      rq.onsuccess = e => {
-        if(e.target.result) res(
-          e.target.result
-        );
-        else rej(
+  return withTransaction(
+    db,
+    "entity",
+    "readonly",
+    t => t.get(
+      "entity",
+      n
+    ).then(
+      entity => {
+        if(entity) return entity
+        throw new NotFoundError(
           `Could not find entity with path ${
             n
-          }`
-        );
-      }
-      rq.onerror = () => {
-        rej(
+          }`,
+          {
+            path: n,
+            operation: "getEntity"
+          }
+        )
+      },
+      () => {
+        throw new IOError(
           `Could not get entity with path ${
             n
-          }.`
+          }.`,
+          {
+            path: n,
+            operation: "getEntity"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
@@ -338,52 +424,51 @@ function getEntity(
 }*/
 
 function getEntitiesByPrefix(
-  db, 
-  cwd, 
-  pathPrefix 
+  db,
+  cwd,
+  pathPrefix,
+  tx
 ){
   const n = normalize(
-    pathPrefix, 
+    pathPrefix,
     absPathToPieces(
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const entityTable = db.transaction(
-        "entity", 
-        "readonly"
-      ).objectStore(
-        "entity"
-      )
-      const range = IDBKeyRange.bound(
-        n, 
-        n + '\uffff', 
-        false, 
-        false
-      )
-      const rq = entityTable.getAll(
-        range
-      )
-      rq.onsuccess = e => {
-        const records = e
-          .target
-          .result
-        if(records && records.length) res(
-          records
-        );
-        else rej(
+  return withTransaction(
+    db,
+    "entity",
+    "readonly",
+    t => t.scan(
+      "entity",
+      {
+        lower: n,
+        upper: n + '\uffff'
+      }
+    ).then(
+      records => {
+        if(records && records.length) return records
+        throw new NotFoundError(
           `Could not find entities with path prefix ${
             n
-          }`
+          }`,
+          {
+            path: n,
+            operation: "getEntitiesByPrefix"
+          }
         )
-      }
-      rq.onerror = e => {
-        rej(
-          e.target.error
+      },
+      e => {
+        throw toFilesystemError(
+          e,
+          {
+            path: n,
+            operation: "getEntitiesByPrefix"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
@@ -438,7 +523,8 @@ function getEntitiesByPrefix(
 function getImmediateChildKeysOfDirectory( // convert to path
   db,
   cwd,
-  path
+  path,
+  tx
 ){
   const n = normalize(
     path,
@@ -446,54 +532,113 @@ function getImmediateChildKeysOfDirectory( // convert to path
       cwd
     )
   )
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    n
-  ).then(
-    directory => {
-      if(directory.isLeaf) throw "Not a directory"
-      return new Promise(
-        (res, rej) => {
-          const entityTable = db
-            .transaction(
-              "entity",
-              "readonly"
-            ).objectStore(
-              "entity"
-            )
-          const parentPathIndex = entityTable
-            .index(
-              "parentPath"
-            )
-          const rq = parentPathIndex
-            .getAllKeys(
-              IDBKeyRange.only(
-                directory.path
-              )
-            )
-          rq.onsuccess = e => {
-            res(
-              e.target.result
-            )
+    "entity",
+    "readonly",
+    t => getEntity(
+      db,
+      cwd,
+      n,
+      t
+    ).then(
+      directory => {
+        if(directory.isLeaf) throw new NotADirectoryError(
+          "Not a directory",
+          {
+            path: directory.path,
+            operation: "getImmediateChildKeysOfDirectory"
           }
-          rq.onerror = () => {
-            rej(
+        )
+        return t.scan(
+          "entity",
+          {
+            index: "parentPath",
+            only: directory.path
+          }
+        ).then(
+          children => children.map(
+            child => child.path
+          ),
+          () => {
+            throw new IOError(
               `Could not get child keys of directory with path ${
                 n
-              }.`
+              }.`,
+              {
+                path: n,
+                operation: "getImmediateChildKeysOfDirectory"
+              }
             )
           }
-        }
-      )
-    }
+        )
+      }
+    ),
+    tx
   )
 }
 
-/*
-function countEntityByPathPrefix(db, cwd, pathPrefix){
-  const n = normalize(pathPrefix, absPathToPieces(cwd))
-  return new Promise(
+// an entity's metadata, read from the entity store alone. size is null for a
+// leaf written before sizes were kept (see the 1 -> 2 migration)
+function statEntity(
+  db,
+  cwd,
+  path,
+  tx
+){
+  return withTransaction(
+    db,
+    "entity",
+    "readonly",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      entity => {
+        const stat = {
+          path: entity.path,
+          name: entity.name,
+          type: entity.isLeaf ? "file" : "directory",
+          size: entity.isLeaf ? (typeof entity.size === "number" ? entity.size : null) : 0,
+          createdAt: entity.createdAt,
+          updatedAt: entity.updatedAt
+        }
+        if(entity.isLeaf) return stat
+        return t.count(
+          "entity",
+          {
+            index: "parentPath",
+            only: entity.path
+          }
+        ).then(
+          childCount => ({
+            ...stat,
+            childCount
+          }),
+          () => {
+            throw new IOError(
+              `Could not count children of directory with path ${
+                entity.path
+              }.`,
+              {
+                path: entity.path,
+                operation: "statEntity"
+              }
+            )
+          }
+        )
+      }
+    ),
+    tx
+  )
+}
+
+/*
+function countEntityByPathPrefix(db, cwd, pathPrefix){
+  const n = normalize(pathPrefix, absPathToPieces(cwd))
+  return new Promise(
     (res, rej) => {
       
     }
@@ -505,7 +650,8 @@ function insertContentRecord(// convert to path
   db,
   cwd,
   leafPath,
-  content
+  content,
+  tx
 ){
   const n = normalize(
     leafPath,
@@ -513,33 +659,35 @@ function insertContentRecord(// convert to path
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const contentTable = db
-        .transaction(
-          "content",
-          "readwrite"
-        ).objectStore(
-          "content"
-        )
-      const rq = contentTable
-        .put({
-          content: content,
-          leafPath: leafPath
-        })
-      rq.onsuccess = e => {
-        res({
-          leafPath: e.target.result
-        })
-      }
-      rq.onerror = () => {
-        rej(
+  return withTransaction(
+    db,
+    "content",
+    "readwrite",
+    t => writeChunks(
+      t,
+      n,
+      encodeContent(
+        n,
+        content,
+        "insertContentRecord"
+      ).bytes
+    ).then(
+      () => ({
+        leafPath: n
+      }),
+      () => {
+        throw new IOError(
           `Could not insert content record for leaf with path ${
-            leafPath
-          }.`
+            n
+          }.`,
+          {
+            path: n,
+            operation: "insertContentRecord"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
@@ -547,7 +695,8 @@ function updateContentRecord(// convert to path
   db,
   cwd,
   leafPath,
-  newContent
+  newContent,
+  tx
 ){
   const n = normalize(
     leafPath,
@@ -555,53 +704,43 @@ function updateContentRecord(// convert to path
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const contentTable = db
-        .transaction(
-          "content",
-          "readwrite"
-        ).objectStore(
-          "content"
-        )
-      const rq = contentTable
-        .openCursor(
-          IDBKeyRange.only(
-            n
-          )
-        )
-      let contentUpdates = 0
-      rq.onsuccess = e => {
-        const cursor = e.target.result
-        if(cursor) {
-          const u = cursor.value
-          u.content = newContent
-          contentUpdates += 1
-          cursor.update(
-            u
-          )
-          cursor.continue()
-        } else {
-          res({
-            contentUpdates
-          })
-        }
-      }
-      rq.onerror = () => {
-        rej(
+  return withTransaction(
+    db,
+    "content",
+    "readwrite",
+    t => writeChunks(
+      t,
+      n,
+      encodeContent(
+        n,
+        newContent,
+        "updateContentRecord"
+      ).bytes
+    ).then(
+      () => ({
+        contentUpdates: 1
+      }),
+      () => {
+        throw new IOError(
           `Could not update content record for leaf with n ${
             n
-          }.`
+          }.`,
+          {
+            path: n,
+            operation: "updateContentRecord"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
 function deleteContentRecord(// convert to path
   db,
   cwd,
-  leafPath
+  leafPath,
+  tx
 ){
   const n = normalize(
     leafPath,
@@ -609,149 +748,51 @@ function deleteContentRecord(// convert to path
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const contentTable = db
-        .transaction(
-          "content",
-          "readwrite"
-        ).objectStore(
-          "content"
-        )
-      const rq = contentTable
-        .openCursor(
-          IDBKeyRange.only(
-            n
-          )
-        )
-      let contentDeletes = 0
-      rq.onsuccess = e => {
-        const cursor = e.target.result
-        if(cursor) {
-          contentDeletes += 1
-          cursor.delete()
-          cursor.continue()
-        } else {
-          res({
-            contentDeletes
-          })
-        }
-      }
-      rq.onerror = () => {
-        rej(
-          `Could not delete content record for leaf with id ${
-            leafId
-          }.`
-        )
-      }
-    }
-  )
-}
-
-function rejectIfConflictingLockPathPrefixes(// convert to path
-  db, 
-  cwd,
-  referenceLockPaths, 
-  unexpiredLocksOnly = true
-){
-  return Promise.all(
-    referenceLockPaths.map(
-      l => getEntity(
-        db,
-        cwd,
-        l
+  return withTransaction(
+    db,
+    "content",
+    "readwrite",
+    t => t.count(
+      "content",
+      chunkRange(
+        n
       )
-    )
-  ).then(
-    results => new Promise(
-      (res, rej) => {
-        const paths = results.map(
-          v => v.path
-        )
-        const lockTable = db
-          .transaction(
-            "lock",
-            "readonly"
-          ).objectStore("lock")
-        const expiryIndex = lockTable
-          .index(
-            "expiry"
-          )
-        const rq = unexpiredLocksOnly ? (
-          expiryIndex
-            .getAll(
-              IDBKeyRange.lowerBound(
-                Date.now()
-              )
-            )
-        ) : (
-          expiryIndex
-            .getAll()
-        )
-        rq.onsuccess = e => {
-          const locks = e
-            .target
-            .result
-            .filter(
-              l => !paths.includes(
-                l.pathPrefix
-              )
-            )
-          const conflicts = locks
-            .reduce(
-              (acc, cur) => {
-                if(
-                  paths
-                    .reduce(
-                      (_, c) => {
-                        if(
-                          c.startsWith(
-                            cur.pathPrefix
-                          )
-                        ){
-                          return acc + 1
-                        }
-                        return acc
-                      }, 0
-                    )
-                ){
-                  return acc + 1
-                }
-                return acc
-              }, 0
-            )
-          if(conflicts){
-            rej(
-              `Just acquired locks conflict with prefixes of ${
-                conflicts
-              } other locks. Considering only unexpired locks: ${
-                unexpiredLocksOnly + ""
-              }.`
-            )
-          } else {
-            res(
-              `No conflicting locks found. Considering only unexpired locks: ${
-                unexpiredLocksOnly + ""
-              }.`
-            )
+    ).then(
+      contentDeletes => deleteChunks(
+        t,
+        n,
+        0,
+        contentDeletes
+      ).then(
+        () => contentDeletes
+      )
+    ).then(
+      contentDeletes => ({
+        contentDeletes
+      }),
+      () => {
+        throw new IOError(
+          `Could not delete content record for leaf with path ${
+            n
+          }.`,
+          {
+            path: n,
+            operation: "deleteContentRecord"
           }
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not get comparison locks for conflict detection.`
-          )
-        }
+        )
       }
-    )
+    ),
+    tx
   )
 }
 
 function addFileEntity(// convert to path
-  db, 
-  cwd, 
-  name, 
-  parentPath, 
-  content // content dereferencing refactor
+  db,
+  cwd,
+  name,
+  parentPath,
+  content, // content dereferencing refactor
+  tx
 ){
   const n = normalize(
     parentPath,
@@ -759,24 +800,39 @@ function addFileEntity(// convert to path
       cwd
     )
   )
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    n
-  ).then(
-    parent => new Promise(
-      (res, rej) => {
-        if(parent.isLeaf) rej(
-          `Cannot designate leaf entity as parent of another leaf entity.`
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      n,
+      t
+    ).then(
+      parent => {
+        if(parent.isLeaf) throw new NotADirectoryError(
+          `Cannot designate leaf entity as parent of another leaf entity.`,
+          {
+            path: parent.path,
+            operation: "addFileEntity"
+          }
         );
         if(
           !/^[a-zA-Z0-9_.-]+$/.test(
             name
           )
-        ) rej(
+        ) throw new InvalidArgumentError(
           `Invalid file name: ${
             name
-          }. File names must be alphanumeric, dashes, dots, and underscores.`
+          }. File names must be alphanumeric, dashes, dots, and underscores.`,
+          {
+            path: parent.path + name,
+            operation: "addFileEntity"
+          }
         );
         const n2 = normalize(
           parent.path + name,
@@ -784,56 +840,140 @@ function addFileEntity(// convert to path
             cwd
           )
         );
+        const {
+          encoding,
+          size
+        } = encodeContent(
+          n2,
+          content,
+          "addFileEntity"
+        )
         const time = Date.now()
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          );
-        const rq = entityTable
-          .add({
+        return t.add(
+          "entity",
+          {
             path: n2,
             isLeaf: true,
             parentPath: parent.path,
             createdAt: time,
             updatedAt: time,
+            size,
+            encoding,
             name
-          })
-        rq.onsuccess = e => {
-          res(
-            e.target.result
-          )
-        }
-        rq.onerror = e => {
-          rej(
-            `Could not add file entity with name ${
-              name
-            } to parent ${
-              parent.path
-            }: ${
-              e.target.error.message
-            }`
-          )
-        }
+          }
+        ).catch(
+          e => {
+            const ErrorClass = e.code === "EEXIST" ? AlreadyExistsError : IOError
+            throw new ErrorClass(
+              `Could not add file entity with name ${
+                name
+              } to parent ${
+                parent.path
+              }: ${
+                e.message
+              }`,
+              {
+                path: n2,
+                operation: "addFileEntity"
+              }
+            )
+          }
+        )
       }
+    ).then(
+      leafPath => insertContentRecord(
+        db,
+        cwd,
+        leafPath,
+        content,
+        t
+      )
+    ),
+    tx
+  )
+}
+
+// creates a leaf, or overwrites the one already named name under parentPath,
+// in one transaction; resolves with its path like addFileEntity
+function writeFileEntity(
+  db,
+  cwd,
+  name,
+  parentPath,
+  content,
+  tx
+){
+  const n = normalize(
+    parentPath,
+    absPathToPieces(
+      cwd
     )
-  ).then(
-    leafPath => insertContentRecord(
+  )
+  return withTransaction(
+    db,
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
       db,
       cwd,
-      leafPath,
-      content
-    )
+      n,
+      t
+    ).then(
+      parent => t.scan(
+        "entity",
+        {
+          index: "uniqueParentChild",
+          only: [
+            parent.path,
+            name
+          ]
+        }
+      ).then(
+        ([existing]) => {
+          if(!existing) return addFileEntity(
+            db,
+            cwd,
+            name,
+            parent.path,
+            content,
+            t
+          );
+          if(!existing.isLeaf) throw new IsADirectoryError(
+            `Cannot write file content to directory with path ${
+              existing.path
+            }.`,
+            {
+              path: existing.path,
+              operation: "writeFileEntity"
+            }
+          );
+          return updateFile(
+            db,
+            cwd,
+            existing.path,
+            content,
+            t
+          ).then(
+            () => ({
+              leafPath: existing.path
+            })
+          )
+        }
+      )
+    ),
+    tx
   )
 }
 
 function addDirectoryEntity(
-  db, 
-  cwd, 
-  name, 
-  parentPath
+  db,
+  cwd,
+  name,
+  parentPath,
+  tx
 ){
   const n = normalize(
     parentPath,
@@ -841,13 +981,17 @@ function addDirectoryEntity(
       cwd
     )
   )
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    n
-  ).then(
-    parent => new Promise(
-      (res, rej) => {
+    "entity",
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      n,
+      t
+    ).then(
+      parent => {
         console.log(`parentPath ${parent.path} name ${name}`)
         const n2 = normalize(
           parent.path + name + "/",
@@ -857,13 +1001,6 @@ function addDirectoryEntity(
         );
         console.log(`n2 ${n2}`)
         const time = Date.now()
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
         console.log(
           JSON.stringify(
             {
@@ -876,38 +1013,43 @@ function addDirectoryEntity(
           }
           )
         )
-        const rq = entityTable
-          .add({
+        return t.add(
+          "entity",
+          {
             path: n2,
             isLeaf: false,
             parentPath: parent.path,
             createdAt: time,
             updatedAt: time,
             name
-          })
-        rq.onsuccess = e => {
-          res(
-            e.target.result
-          )
-        }
-        rq.onerror = e => {
-          rej(
-            `Could not add directory entity with name ${
-              name
-            } to parent ${
-              parent.path
-            }.`
-          )
-        }
+          }
+        ).catch(
+          e => {
+            const ErrorClass = e.code === "EEXIST" ? AlreadyExistsError : IOError
+            throw new ErrorClass(
+              `Could not add directory entity with name ${
+                name
+              } to parent ${
+                parent.path
+              }.`,
+              {
+                path: n2,
+                operation: "addDirectoryEntity"
+              }
+            )
+          }
+        )
       }
-    )
+    ),
+    tx
   )
 }
 
 function deleteEntity(
-  db, 
+  db,
   cwd,
-  path // content dereferencing refactor
+  path, // content dereferencing refactor
+  tx
 ){
   const n = normalize(
     path,
@@ -915,501 +1057,689 @@ function deleteEntity(
       cwd
     )
   )
-  return new Promise(
-    (res, rej) => {
-      const entityTable = db
-        .transaction(
-          "entity",
-          "readwrite"
-        ).objectStore("entity")
-      const rq = entityTable
-        .delete(
-          n
-        )
-      rq.onsuccess = () => {
-        res(
-          n
-        )
-      }
-      rq.onerror = () => {
-        rej(
+  return withTransaction(
+    db,
+    "entity",
+    "readwrite",
+    t => t.delete(
+      "entity",
+      n
+    ).then(
+      () => n,
+      () => {
+        throw new IOError(
           `Could not delete entity with path ${
             path
-          }; it may have already been deleted.`
+          }; it may have already been deleted.`,
+          {
+            path: n,
+            operation: "deleteEntity"
+          }
         )
       }
-    }
+    ),
+    tx
   )
 }
 
 function deleteLeafEntity(
-  db, 
+  db,
   cwd,
-  path// content dereferencing refactor
+  path, // content dereferencing refactor
+  tx
 ){
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    path
-  ).then(
-    file => {
-      if(!file.isLeaf) throw `Cannot delete non-leaf entity with path ${
-        file.path
-      }.`
-      return deleteEntity(
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      file => {
+        if(!file.isLeaf) throw new IsADirectoryError(
+          `Cannot delete non-leaf entity with path ${
+            file.path
+          }.`,
+          {
+            path: file.path,
+            operation: "deleteLeafEntity"
+          }
+        )
+        return deleteEntity(
+          db,
+          cwd,
+          path,
+          t
+        )
+      }
+    ).then(
+      leafPath => deleteContentRecord(
         db,
         cwd,
-        path
+        leafPath,
+        t
       )
-    }
-  ).then(
-    leafPath => deleteContentRecord(
-      db,
-      cwd,
-      leafPath
-    )
+    ),
+    tx
   )
 }
 
 function deleteDirectoryIfEmpty(
-  db, 
+  db,
   cwd,
-  path
+  path,
+  tx
 ){
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    path
-  ).then( 
-    directory => new Promise(
-      (res, rej) => {
+    "entity",
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      directory => {
         if(
           directory.isLeaf
-        ) rej(
+        ) throw new NotADirectoryError(
           `Cannot delete entity with path ${
             directory.path
-          } because it is a leaf.`
+          } because it is a leaf.`,
+          {
+            path: directory.path,
+            operation: "deleteDirectoryIfEmpty"
+          }
         );
         if(
           directory.path === "/"
-        ) rej(
+        ) throw new PermissionDeniedError(
           `Cannot delete entity with path ${
             directory.path
-          } because it is the root directory.`
+          } because it is the root directory.`,
+          {
+            path: directory.path,
+            operation: "deleteDirectoryIfEmpty"
+          }
         );
         if(
           cwd.startsWith(
             directory.path
           )
-        ) rej(
+        ) throw new BusyError(
           `Cannot delete entity with path ${
             directory.path
-          } because it is a prefix of the current working directory.`
+          } because it is a prefix of the current working directory.`,
+          {
+            path: directory.path,
+            operation: "deleteDirectoryIfEmpty"
+          }
         );
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
-        const parentIdIndex = entityTable
-          .index(
-            "parentPath"
-          )
-        const rq = parentIdIndex
-          .count(
-            IDBKeyRange.only(
-              directory.path
+        return t.count(
+          "entity",
+          {
+            index: "parentPath",
+            only: directory.path
+          }
+        ).then(
+          children => {
+            if(children !== 0) throw new DirectoryNotEmptyError(
+              `Cannot delete directory with path ${
+                directory.path
+              } because it is not empty.`,
+              {
+                path: directory.path,
+                operation: "deleteDirectoryIfEmpty"
+              }
+            );
+            return directory.path
+          },
+          () => {
+            throw new IOError(
+              `Could not count number of children for directory with path ${
+                directory.path
+              }.`,
+              {
+                path: directory.path,
+                operation: "deleteDirectoryIfEmpty"
+              }
             )
-          )
-        rq.onsuccess = () => {
-          if(rq.result !== 0) rej(
-            `Cannot delete directory with path ${
-              directory.path
-            } because it is not empty.`
-          );
-          res(directory.path);
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not count number of children for directory with path ${
-              directory.path
-            }.`
-          )
-        }
+          }
+        )
       }
-    )
-  ).then(
-    path => deleteEntity(
-      db,
-      cwd,
-      path
-    )
+    ).then(
+      path => deleteEntity(
+        db,
+        cwd,
+        path,
+        t
+      )
+    ),
+    tx
   )
 }
 
 function emptyDirectory(
-  db, 
+  db,
   cwd,
-  path// content dereferencing refactor
+  path, // content dereferencing refactor
+  tx
 ){
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    path
-  ).then(
-    directory => new Promise(
-      (res, rej) => {
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      directory => {
         if(
           directory.isLeaf
-        ) rej(
+        ) throw new NotADirectoryError(
           `Cannot empty entity with path ${
             directory.path
-          } because it is a leaf.`
+          } because it is a leaf.`,
+          {
+            path: directory.path,
+            operation: "emptyDirectory"
+          }
         );
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
-        const parentPathIndex = entityTable
-          .index(
-            "parentPath"
-          )
-        const rq = parentPathIndex
-          .count(
-            IDBKeyRange.only(
-              directory.path
+        return t.count(
+          "entity",
+          {
+            index: "parentPath",
+            only: directory.path
+          }
+        ).then(
+          children => {
+            if(children === 0) throw new InvalidArgumentError(
+              `Cannot empty entity with path ${
+                directory.path
+              } because it is already empty.`,
+              {
+                path: directory.path,
+                operation: "emptyDirectory"
+              }
+            );
+            return directory.path
+          },
+          () => {
+            throw new IOError(
+              `Could not count number of children for directory with path ${
+                directory.path
+              }.`,
+              {
+                path: directory.path,
+                operation: "emptyDirectory"
+              }
             )
-          )
-        rq.onsuccess = () => {
-          if(rq.result === 0) rej(
-            `Cannot empty entity with path ${
-              directory.path
-            } because it is already empty.`
-          );
-          res(directory.path);
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not count number of children for directory with path ${
-              directory.path
-            }.`
-          )
-        }
+          }
+        )
       }
-    )
-  ).then(
-    pathPrefix => new Promise(
-      (res, rej) => {
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
-        const rq = entityTable
-          .openCursor(
-            IDBKeyRange.bound(
-              pathPrefix,
-              pathPrefix + '\uffff',
-              true,
-              false
+    ).then(
+      pathPrefix => t.scan(
+        "entity",
+        {
+          lower: pathPrefix,
+          upper: pathPrefix + '\uffff',
+          lowerOpen: true
+        }
+      ).then(
+        descendants => Promise.all(
+          descendants.map(
+            u => t.delete(
+              "entity",
+              u.path
             )
           )
-        const deletedPaths = []
-        var deletions = 0
-        rq.onsuccess = e => {
-          const cursor = e.target.result
-          if(cursor) {
-            if(cursor.value.isLeaf) deletedPaths.push(cursor.value.path)
-            cursor.delete()
-            deletions++
-            cursor.continue() 
-          } else {
-            res(
-              deletedPaths
-            )
-          }
-        }
-        rq.onerror = () => {
-          rej(
+        ).then(
+          () => descendants.filter(
+            u => u.isLeaf
+          ).map(
+            u => u.path
+          )
+        )
+      ).catch(
+        () => {
+          throw new IOError(
             `Could not empty directory with path ${
               pathPrefix
-            }.`
+            }.`,
+            {
+              path: pathPrefix,
+              operation: "emptyDirectory"
+            }
           )
         }
-      }
-    )
-  ).then(
-    deletedPaths => Promise.allSettled(
-      deletedPaths.map(
-        v => deleteContentRecord(
-          db,
-          cwd,
-          v
+      )
+    ).then(
+      deletedPaths => Promise.all(
+        deletedPaths.map(
+          v => deleteContentRecord(
+            db,
+            cwd,
+            v,
+            t
+          )
         )
       )
-    )
+    ),
+    tx
   )
 }
 
 function updateFileTimestamp(
-  db, 
+  db,
   cwd,
-  path
+  path,
+  tx
 ){
-  return getEntity(
+  return updateLeafEntity(
     db,
     cwd,
-    path
-  ).then(
-    file => new Promise(
-      (res, rej) => {
-        if(!file.isLeaf) rej(
+    path,
+    {},
+    "updateFileTimestamp",
+    tx
+  )
+}
+
+// stamps updatedAt on a leaf along with any other changed fields
+function updateLeafEntity(
+  db,
+  cwd,
+  path,
+  changes,
+  operation,
+  tx
+){
+  return withTransaction(
+    db,
+    "entity",
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      file => {
+        if(!file.isLeaf) throw new IsADirectoryError(
           `Entity with path ${
             file.path
-          } is not a leaf entity.`
-        )
-        const time = Date.now()
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
-        const rq = entityTable
-          .openCursor(
-            IDBKeyRange.only(
-              file.path
-            )
-          )
-        var updates = 0
-        rq.onsuccess = e => {
-          const cursor = e.target.result
-          if(cursor) {
-            const u = cursor.value
-            u.updatedAt = time
-            cursor.update(
-              u
-            )
-            ++updates
-            cursor.continue()
-          } else {
-            res(
-              updates
+          } is not a leaf entity.`,
+          {
+            path: file.path,
+            operation
+          }
+        );
+        return t.put(
+          "entity",
+          {
+            ...file,
+            ...changes,
+            updatedAt: Date.now()
+          }
+        ).then(
+          () => 1,
+          () => {
+            throw new IOError(
+              `Could not update file with path ${
+                file.path
+              }.`,
+              {
+                path: file.path,
+                operation
+              }
             )
           }
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not update file with path ${
-              file.path
-            }.`
-          )
-        }
+        )
       }
-    )
+    ),
+    tx
   )
 }
 
 function updateFile(
-  db, 
+  db,
   cwd,
-  path, 
-  content // content dereferencing refactor
+  path,
+  content, // content dereferencing refactor
+  tx
 ){
-  return getEntity(
+  return withTransaction(
     db,
-    cwd,
-    path
-  ).then(
-    file => Promise.allSettled([
-      updateFileTimestamp(
-        db,
-        cwd,
-        path
-      ),
-      updateContentRecord(
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => {
+      const {
+        encoding,
+        size
+      } = encodeContent(
+        path,
+        content,
+        "updateFile"
+      )
+      return updateLeafEntity(
         db,
         cwd,
         path,
-        content
+        {
+          encoding,
+          size
+        },
+        "updateFile",
+        t
+      ).then(
+        timestampUpdates => updateContentRecord(
+          db,
+          cwd,
+          path,
+          content,
+          t
+        ).then(
+          ({
+            contentUpdates
+          }) => ({
+            timestampUpdates,
+            contentUpdates
+          })
+        )
       )
-    ])
+    },
+    tx
   )
 }
 
-function renameFile(
-  db, 
+// writes content over a file's bytes from offset on, growing the file if it
+// runs past the end; resolves with the bytes written and the new size. only the
+// chunks the write overlaps are read and rewritten
+function writeFileRange(
+  db,
   cwd,
-  path, 
-  newName
+  path,
+  offset,
+  content,
+  tx
 ){
-  let file, parent
-  return getEntity( // auto-get the file
+  return withTransaction(
     db,
-    cwd,
-    path
-  ).then(
-    result => {
-      file = result
-      return getEntity(
-        db,
-        cwd,
-        file.parentPath
-      )
-    } // auto-get parent
-  ).then(
-    result => {
-      parent = result
-      return new Promise(
-        (res, rej) => {
-          if(!file.isLeaf) rej(
-            `Entity with path ${
-              file.path
-            } is not a leaf entity.`
-          )
-          if(
-              !/^[a-zA-Z0-9_.-]+$/.test(
-                newName
-              )
-            ) rej(
-              `Invalid file name: ${
-                newName
-              }. File names must be alphanumeric, dashes, dots, and underscores.`
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      file => {
+        if(!file.isLeaf) throw new IsADirectoryError(
+          `Entity with path ${
+            file.path
+          } is not a leaf entity.`,
+          {
+            path: file.path,
+            operation: "writeFileRange"
+          }
+        );
+        byteRange(
+          {
+            offset
+          },
+          file.path,
+          "writeFileRange"
+        )
+        const {
+          bytes
+        } = encodeContent(
+          file.path,
+          content,
+          "writeFileRange"
+        )
+        const size = file.size || 0
+        const {
+          first,
+          last
+        } = chunkSpan(
+          patchedRange(
+            size,
+            offset,
+            bytes
           )
-          const n = normalize(
-            parent.path + newName,
-            absPathToPieces(
-              cwd
-            )
+        )
+        return t.scan(
+          "content",
+          chunkRange(
+            file.path,
+            first,
+            last
           )
-          const entityTable = db
-            .transaction(
-              "entity",
-              "readwrite"
-            ).objectStore(
-              "entity"
+        ).then(
+          existing => {
+            const patched = patchChunks(
+              file.path,
+              existing,
+              size,
+              offset,
+              bytes
             )
-          const rq = entityTable
-            .delete(
-              IDBKeyRange.only(
-                file.path
+            return Promise.all(
+              patched.chunks.map(
+                chunk => t.put(
+                  "content",
+                  chunk
+                )
+              )
+            ).then(
+              () => updateLeafEntity(
+                db,
+                cwd,
+                file.path,
+                {
+                  size: patched.size
+                },
+                "writeFileRange",
+                t
               )
+            ).then(
+              () => ({
+                bytesWritten: bytes.length,
+                size: patched.size
+              })
             )
-          rq.onsuccess = e => {
-            res({
-              oldFile: file,
-              parent: parent,
-              newPath: n,
-              newName
-            })
-          }
-          rq.onerror = () => {
-            rej(
-              `Could not rename file with path ${
+          },
+          () => {
+            throw new IOError(
+              `Could not read content of leaf with path ${
                 file.path
-              } to ${
-                newName
-              }.`
+              }.`,
+              {
+                path: file.path,
+                operation: "writeFileRange"
+              }
             )
           }
-        }
+        )
+      }
+    ),
+    tx
+  )
+}
+
+// path is the key of both stores, so moving a leaf re-inserts its entity and
+// content chunks under the new path
+function rekeyLeaf(
+  t,
+  leaf,
+  replacement
+){
+  return Promise.all(
+    [
+      t.delete(
+        "entity",
+        leaf.path
+      ),
+      t.add(
+        "entity",
+        replacement
+      ),
+      t.scan(
+        "content",
+        chunkRange(
+          leaf.path
+        )
+      ).then(
+        chunks => Promise.all(
+          chunks.flatMap(
+            chunk => [
+              t.delete(
+                "content",
+                [leaf.path, chunk.chunkIndex]
+              ),
+              t.put(
+                "content",
+                {
+                  ...chunk,
+                  leafPath: replacement.path
+                }
+              )
+            ]
+          )
+        )
       )
-    } // man-delete original
+    ]
   ).then(
-    ({
-      oldFile,
-      parent,
-      newPath,
-      newName
-    }) => new Promise( // man-get old content
-      (res, rej) => {
-        const contentTable = db
-          .transaction(
-            "content",
-            "readwrite"
-          ).objectStore(
-            "content"
-          )
-        const rq = contentTable
-          .get(
-            oldFile.path
+    () => replacement.path
+  )
+}
+
+function renameFile(
+  db,
+  cwd,
+  path,
+  newName,
+  tx
+){
+  return withTransaction(
+    db,
+    [
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => getEntity(
+      db,
+      cwd,
+      path,
+      t
+    ).then(
+      file => {
+        if(!file.isLeaf) throw new IsADirectoryError(
+          `Entity with path ${
+            file.path
+          } is not a leaf entity.`,
+          {
+            path: file.path,
+            operation: "renameFile"
+          }
+        );
+        if(
+          !/^[a-zA-Z0-9_.-]+$/.test(
+            newName
           )
-        rq.onsuccess = e => {
-          const content = e.target.result
-          if(content) {
-            res({
-              oldFile: oldFile,
-              parent: parent,
-              newPath: newPath,
-              newName: newName,
-              content: content
-            })
-          } else {
-            rej(
-              `Could not find content record with path ${
-                oldFile.path
-              }.`
-            )
+        ) throw new InvalidArgumentError(
+          `Invalid file name: ${
+            newName
+          }. File names must be alphanumeric, dashes, dots, and underscores.`,
+          {
+            path: file.path,
+            operation: "renameFile"
           }
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not find content record with path ${
-              oldFile.path
-            }.`
+        );
+        const newPath = normalize(
+          file.parentPath + newName,
+          absPathToPieces(
+            cwd
           )
-        }
-      }
-    )
-  ).then(
-    ({
-      oldFile,
-      parent,
-      newPath,
-      newName,
-      content
-    }) => Promise.allSettled([
-      new Promise( // man-delete old content
-        (res, rej) => {
-          const contentTable = db
-            .transaction(
-              "content",
-              "readwrite"
-            ).objectStore(
-              "content"
-            )
-          const rq = contentTable
-            .delete(
-              oldFile.path
-            )
-          rq.onsuccess = () => {
-            res()
+        )
+        if(newPath === file.path) throw new InvalidArgumentError(
+          `File with path ${
+            file.path
+          } is already named ${
+            newName
+          }.`,
+          {
+            path: file.path,
+            operation: "renameFile"
           }
-          rq.onerror = () => {
-            rej(
-              `Could not delete content record with path ${
-                oldFile.path
-              }.`
+        );
+        return t.count(
+          "entity",
+          {
+            only: newPath
+          }
+        ).then(
+          taken => {
+            if(taken > 0) throw new AlreadyExistsError(
+              `Could not rename file with path ${
+                file.path
+              } to ${
+                newName
+              }: an entity with path ${
+                newPath
+              } already exists.`,
+              {
+                path: newPath,
+                operation: "renameFile"
+              }
+            );
+            return rekeyLeaf(
+              t,
+              file,
+              {
+                ...file,
+                path: newPath,
+                name: newName,
+                updatedAt: Date.now()
+              }
+            )
+          },
+          () => {
+            throw new IOError(
+              `Could not rename file with path ${
+                file.path
+              } to ${
+                newName
+              }.`,
+              {
+                path: file.path,
+                operation: "renameFile"
+              }
             )
           }
-        }
-      ),
-      addFileEntity( // auto-recreate fild
-        db, 
-        cwd, 
-        newName, 
-        parent.path, 
-        content.content
-      ) // ->getEntity->insertContentRecord(man-addcontent)
-    ])
+        )
+      }
+    ),
+    tx
   )
 }
 
@@ -1417,247 +1747,327 @@ function reparentLeaf(
   db,
   cwd,
   path,
-  newParentPath
+  newParentPath,
+  tx
 ){
-  return Promise.all(
+  return withTransaction(
+    db,
     [
-      getEntity(
-        db,
-        cwd,
-        path
-      ),
-      getEntity(
-        db,
-        cwd,
-        newParentPath
-      )
-    ]
-  ).then(
-    (
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => Promise.all(
       [
-        leaf,
-        newParent
+        getEntity(
+          db,
+          cwd,
+          path,
+          t
+        ),
+        getEntity(
+          db,
+          cwd,
+          newParentPath,
+          t
+        )
       ]
-    ) => new Promise(
-      (res, rej) => {
+    ).then(
+      (
+        [
+          leaf,
+          newParent
+        ]
+      ) => {
+        if(newParent.isLeaf) throw new NotADirectoryError(
+          "New parent cannot be a leaf entity.",
+          {
+            path: newParent.path,
+            operation: "reparentLeaf"
+          }
+        );
+        if(!leaf.isLeaf) throw new IsADirectoryError(
+          `Entity with path ${
+            leaf.path
+          } is not a leaf entity.`,
+          {
+            path: leaf.path,
+            operation: "reparentLeaf"
+          }
+        );
         const newPath = normalize(
           newParent.path + leaf.name,
           absPathToPieces(
             cwd
           )
         )
-        if(newParent.isLeaf) rej(
-          "New parent cannot be a leaf entity."
-        )
-        if(!leaf.isLeaf) rej(
-          `Entity with path ${
+        if(newPath === leaf.path) throw new InvalidArgumentError(
+          `Leaf with path ${
             leaf.path
-          } is not a leaf entity.`
-        )
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
-          )
-        const rq = entityTable
-          .openCursor(
-            IDBKeyRange.only(
-              leaf.path
+          } is already a child of ${
+            newParent.path
+          }.`,
+          {
+            path: leaf.path,
+            operation: "reparentLeaf"
+          }
+        );
+        return rekeyLeaf(
+          t,
+          leaf,
+          {
+            ...leaf,
+            path: newPath,
+            parentPath: newParent.path,
+            updatedAt: Date.now()
+          }
+        ).catch(
+          e => {
+            if(e.code !== "EEXIST") throw e
+            throw new AlreadyExistsError(
+              `Could not reparent leaf with path ${
+                leaf.path
+              } to new parent ${
+                newParent.path
+              }: an entity with path ${
+                newPath
+              } already exists.`,
+              {
+                path: newPath,
+                operation: "reparentLeaf"
+              }
             )
-          )
-        var reparentings = 0
-        rq.onsuccess = e => {
-          const cursor = e.target.result
-          if(cursor){
-            const u = cursor.value
-            u.parentPath = newParent.path
-            u.path = newPath
-            cursor.update(u)
-            reparentings++
-            cursor.continue()
-          } else {
-            res(reparentings)
           }
-        }
-        rq.onerror = () => {
-          rej(
-            `Could not reparent leaf with path ${
-              leaf.path
-            } to new parent ${
-              newParent.path
-            }.`
-          )
-        }
+        )
       }
-    )
+    ),
+    tx
   )
 }
 
 function transplantAncestors(
-  db, 
-  oldParentPath,
-  newParentPath
+  db,
+  cwd,
+  path,
+  newParentPath,
+  newName,
+  tx
 ){
-  return Promise.all(
+  return withTransaction(
+    db,
     [
-      getEntity(
-        db,
-        cwd,
-        oldParentPath
-      ),
-      getEntity(
-        db,
-        cwd,
-        newParentPath
-      )
-    ]
-  ).then(
-    (
-      [ 
-        oldParent, 
-        newParent
+      "entity",
+      "content"
+    ],
+    "readwrite",
+    t => Promise.all(
+      [
+        getEntity(
+          db,
+          cwd,
+          path,
+          t
+        ),
+        getEntity(
+          db,
+          cwd,
+          newParentPath,
+          t
+        )
       ]
-    ) => new Promise(
-      (res, rej) => {
-        if(newParent.isLeaf) rej(
-          "New parent cannot be a leaf entity."
+    ).then(
+      (
+        [
+          directory,
+          newParent
+        ]
+      ) => {
+        const name = typeof newName === "string" ? newName : directory.name
+        if(directory.isLeaf) throw new NotADirectoryError(
+          `Entity with path ${
+            directory.path
+          } is not a directory.`,
+          {
+            path: directory.path,
+            operation: "transplantAncestors"
+          }
         );
-        const entityTable = db
-          .transaction(
-            "entity",
-            "readwrite"
-          ).objectStore(
-            "entity"
+        if(directory.path === "/") throw new PermissionDeniedError(
+          "Cannot move the root directory.",
+          {
+            path: directory.path,
+            operation: "transplantAncestors"
+          }
+        );
+        if(newParent.isLeaf) throw new NotADirectoryError(
+          "New parent cannot be a leaf entity.",
+          {
+            path: newParent.path,
+            operation: "transplantAncestors"
+          }
+        );
+        if(
+          newParent.path.startsWith(
+            directory.path
           )
-        const rq = entityTable
-          .openCursor(
-            IDBKeyRange.bound(
-              oldParent.path,
-              oldParent.path + "\uffff",
-              true,
-              false
-            )
+        ) throw new InvalidArgumentError(
+          `Cannot move directory with path ${
+            directory.path
+          } into itself or one of its descendants (${
+            newParent.path
+          }).`,
+          {
+            path: newParent.path,
+            operation: "transplantAncestors"
+          }
+        );
+        if(
+          !/^[a-zA-Z0-9_.-]+$/.test(
+            name
           )
-        var transplants = 0
-        rq.onsuccess = e => {
-          const cursor = e.target.result
-          if (cursor) {
-            const u = cursor.value
-            if(u.path === newParent.path) cursor.continue()
-            if(
-              u.parentPath === oldParent.path
-            ){
-              u.parentPath = newParent.path
-            } 
-            u
-              .path = normalize(
-                u.path.replace(
-                  new RegExp(`^${
-                    oldParent.path
-                  }`),
-                  newParent.path
-                ),
-                absPathToPieces(
-                  cwd
-                )
-              )
-            u.updatedAt = Date.now()
-            cursor.update(u)
-            transplants++
-            cursor.continue()
-          } else {
-            res(
-              `Ancestors transplanted: ${
-                transplants
-              }.`
-            )
+        ) throw new InvalidArgumentError(
+          `Invalid directory name: ${
+            name
+          }. Directory names must be alphanumeric, dashes, dots, and underscores.`,
+          {
+            path: directory.path,
+            operation: "transplantAncestors"
           }
-        }
-        rq.onerror = () => {
-          rej(
-            `Error reading entities where prefix is ${
-              oldParent.path
-            } and suffix is non-empty.`
+        );
+        const newPath = normalize(
+          newParent.path + name + "/",
+          absPathToPieces(
+            cwd
           )
-        }
-      }
-    )
-  )
-}
-
-function pruneExpiredLocks(
-  db
-){
-  return new Promise(
-    (r, j) => {
-      const lockTable = db
-        .transaction(
-          "lock",
-          "readonly"
         )
-        .objectStore("lock")
-        .index("expiry")
-      const rq = lockTable.getAllKeys(
-        IDBKeyRange.upperBound(
-          Date.now()
-        )
-      )
-      rq.onsuccess = (e) => {
-        r(e.target.result)
-      }
-      rq.onerror = () => {
-        j(
-          "Error reading expired locks."
+        if(newPath === directory.path) throw new InvalidArgumentError(
+          `Directory with path ${
+            directory.path
+          } is already at that location.`,
+          {
+            path: directory.path,
+            operation: "transplantAncestors"
+          }
+        );
+        // the whole subtree, including the directory record itself, is
+        // re-inserted under the new prefix
+        const rekey = p => newPath + p.slice(
+          directory.path.length
         )
-      }
-    }
-  ).then(
-    results => Promise.allSettled(
-      results.map(path => {
-        return new Promise(
-          (r, j) => {
-            const lockTable = db
-              .transaction(
-                "lock",
-                "readwrite"
-              ).objectStore("lock")
-            const rq = lockTable
-              .delete(
-                path
-              )
-            rq.onsuccess = () => {
-              r(
-                "Expired lock pruned succesfully."
-              )
-            }
-            rq.onerror = () => {
-              j(
-                "Error deleting expired lock by path; it may have already been deleted."
-              )
-            }
+        const range = {
+          lower: directory.path,
+          upper: directory.path + "\uffff"
+        }
+        return Promise.all(
+          [
+            t.scan(
+              "entity",
+              range
+            ),
+            t.scan(
+              "content",
+              {
+                lower: [directory.path],
+                upper: [directory.path + "\uffff"]
+              }
+            )
+          ]
+        ).catch(
+          () => {
+            throw new IOError(
+              `Error reading entities where prefix is ${
+                directory.path
+              }.`,
+              {
+                path: directory.path,
+                operation: "transplantAncestors"
+              }
+            )
+          }
+        ).then(
+          ([entities, records]) => {
+            const time = Date.now()
+            return Promise.all(
+              [
+                ...entities.map(
+                  u => t.delete(
+                    "entity",
+                    u.path
+                  )
+                ),
+                ...records.map(
+                  r => t.delete(
+                    "content",
+                    [r.leafPath, r.chunkIndex]
+                  )
+                ),
+                ...entities.map(
+                  u => t.add(
+                    "entity",
+                    {
+                      ...u,
+                      path: rekey(u.path),
+                      parentPath: u.path === directory.path ? newParent.path : rekey(u.parentPath),
+                      name: u.path === directory.path ? name : u.name,
+                      updatedAt: time
+                    }
+                  ).catch(
+                    () => {
+                      throw new AlreadyExistsError(
+                        `Could not move directory with path ${
+                          directory.path
+                        } to ${
+                          newPath
+                        }: an entity with path ${
+                          rekey(u.path)
+                        } already exists.`,
+                        {
+                          path: rekey(u.path),
+                          operation: "transplantAncestors"
+                        }
+                      )
+                    }
+                  )
+                ),
+                ...records.map(
+                  r => t.put(
+                    "content",
+                    {
+                      ...r,
+                      leafPath: rekey(r.leafPath)
+                    }
+                  )
+                )
+              ]
+            ).then(
+              () => ({
+                oldPath: directory.path,
+                newPath,
+                entitiesMoved: entities.length
+              })
+            )
           }
         )
-      })
-    )
+      }
+    ),
+    tx
   )
 }
 
 export {
-  lockPath,
-  removeLock,
-  getLock,
+  withTransaction,
   entityExists,
+  readLeafContent,
   joinContentToLeaf,
   getEntity,
   getEntitiesByPrefix,
   getImmediateChildKeysOfDirectory,
+  statEntity,
   insertContentRecord,
   updateContentRecord,
   deleteContentRecord,
-  rejectIfConflictingLockPathPrefixes,
   addFileEntity,
+  writeFileEntity,
   addDirectoryEntity,
   deleteEntity,
   deleteLeafEntity,
@@ -1665,8 +2075,8 @@ export {
   emptyDirectory,
   updateFile,
   updateFileTimestamp,
+  writeFileRange,
   renameFile,
   reparentLeaf,
-  transplantAncestors,
-  pruneExpiredLocks
-}
\ No newline at end of file
+  transplantAncestors
+}
@@ -0,0 +1,899 @@
+import { normalize, absPathToPieces } from "../utils/path.js"
+import { withTransaction } from "./IDB.js"
+import {
+  NotFoundError,
+  BusyError,
+  InvalidArgumentError,
+  PermissionDeniedError,
+  IOError
+} from "../utils/errors.js"
+
+/*
+Lock
+----
+- id
+- pathPrefix
+- mode
+- expiry
+- createdAt
+- <holder>
+- <command>
+- <token>
+
+* one row per holder, keyed by an autoincremented id, so several holders may share a pathPrefix.
+* mode is "shared" or "exclusive". shared locks only coexist with other shared locks; an exclusive lock excludes every other lock that overlaps it.
+* a directory prefix (ending in "/") overlaps itself, its ancestors and everything beneath it. a leaf prefix overlaps itself and its ancestors.
+* rows without a mode, e.g. from older backups, are treated as exclusive.
+* holder identifies who took the lock (a session, tab or actor id) and command what for; both are for debugging only.
+* token is handed to the acquirer alone. releasing or renewing a lock requires it, so one holder cannot drop another's lock.
+
+Acquisition policies
+--------------------
+* failFast: one attempt; contention rejects right away.
+* contention is a BusyError (EBUSY, see utils/errors.js). retry and queue only wait out EBUSY; any other failure, e.g. an invalid path, rejects at once.
+* retry: { initialDelayMs = 25, maxDelayMs = 1000, deadlineMs = 5000 }. attempts again after exponentially growing delays until the deadline.
+* queue: { timeoutMs = 5000, pollMs = 100 }. waits in a FIFO queue shared by every command on the same database in this context, so earlier waiters are served first.
+* expired rows never block acquisition; pruneExpiredLocks deletes them in one pass and resolves { pruned, remaining, durationMs }.
+
+Leases
+------
+* a lock's duration is a lease. lockedTransaction renews its locks every third of that duration for as long as the operation runs, so long operations keep their locks however slow they are.
+* the operation's transaction spans only the entity and content stores, so renewals (and other holders' acquisitions) are not queued behind it.
+* if a renewal fails, because the lock expired or was taken over, the operation's transaction is aborted and lockedTransaction rejects with the reason.
+*/
+
+function pathPrefixesOverlap(
+  a,
+  b
+){
+  return a === b ||
+    (a.endsWith("/") && b.startsWith(a)) ||
+    (b.endsWith("/") && a.startsWith(b))
+}
+
+function locksCompatible(
+  a,
+  b
+){
+  return a.mode === "shared" && b.mode === "shared"
+}
+
+// locks that overlap, and are incompatible with, at least one reference lock.
+// the reference locks themselves are never reported.
+function findConflictingLocks(
+  referenceLocks,
+  locks,
+  now = Date.now(),
+  unexpiredLocksOnly = true
+){
+  const referenceIds = referenceLocks.map(
+    r => r.id
+  )
+  return locks.filter(
+    l => !referenceIds.includes(
+      l.id
+    ) && (
+      !unexpiredLocksOnly || l.expiry > now
+    ) && referenceLocks.some(
+      r => pathPrefixesOverlap(
+        r.pathPrefix,
+        l.pathPrefix
+      ) && !locksCompatible(
+        r,
+        l
+      )
+    )
+  )
+}
+
+function newToken(){
+  if(typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${
+    Date.now().toString(36)
+  }-${
+    Math.random().toString(36).slice(2)
+  }`
+}
+
+function describeLock(
+  lock
+){
+  return `${
+    lock.mode || "exclusive"
+  } lock ${
+    lock.id
+  } on ${
+    lock.pathPrefix
+  } held by ${
+    lock.holder || "an unknown holder"
+  } expiring ${
+    new Date(
+      lock.expiry
+    ).toISOString()
+  }`
+}
+
+// all-or-nothing: locks taken before a failure are released again
+function acquireLocks(
+  db,
+  cwd,
+  paths,
+  durationMs,
+  lockMode,
+  owner
+){
+  const locks = []
+  return (async () => {
+    try {
+      for (const p of paths) {
+        locks.push(
+          await lockPath(
+            db,
+            cwd,
+            p,
+            durationMs,
+            lockMode,
+            owner
+          )
+        )
+      }
+      await rejectIfConflictingLockPathPrefixes(
+        db,
+        locks.map(
+          l => l.id
+        )
+      )
+      return locks
+    } catch (e) {
+      for (const { id, token } of locks) {
+        await removeLock(
+          db,
+          id,
+          token
+        )
+      }
+      throw e
+    }
+  })()
+}
+
+function sleep(
+  ms
+){
+  return new Promise(
+    res => setTimeout(
+      res,
+      ms
+    )
+  )
+}
+
+// FIFO waiters per database. only the head of a queue attempts acquisition;
+// it tries again whenever a lockedTransaction in this context releases its
+// locks, or every pollMs to notice locks released by other contexts.
+const lockQueues = new WeakMap()
+
+function wakeLockQueue(
+  db
+){
+  const queue = lockQueues.get(
+    db
+  )
+  if(queue && queue.wake) queue.wake();
+}
+
+function serviceLockQueue(
+  db,
+  queue
+){
+  (async () => {
+    while(queue.waiters.length){
+      const head = queue.waiters[0]
+      try {
+        const locks = await head.attempt()
+        queue.waiters.shift()
+        head.res(
+          locks
+        )
+        continue
+      } catch (e) {
+        if(e.code !== "EBUSY"){
+          queue.waiters.shift()
+          head.rej(
+            e
+          )
+          continue
+        }
+        if(Date.now() >= head.deadline){
+          queue.waiters.shift()
+          head.rej(
+            new BusyError(
+              `${
+                e.message
+              } Gave up waiting in the lock queue after ${
+                head.timeoutMs
+              }ms.`,
+              {
+                path: e.path,
+                operation: e.operation
+              }
+            )
+          )
+          continue
+        }
+      }
+      await new Promise(
+        res => {
+          const timer = setTimeout(
+            res,
+            Math.min(
+              head.pollMs,
+              Math.max(
+                head.deadline - Date.now(),
+                0
+              )
+            )
+          )
+          queue.wake = () => {
+            clearTimeout(
+              timer
+            )
+            res()
+          }
+        }
+      )
+      queue.wake = null
+    }
+    lockQueues.delete(
+      db
+    )
+  })()
+}
+
+// how a command gets its locks when they are contended. a policy is
+// { type, ...options }; a missing policy is failFast.
+const acquisitionPolicies = {
+  failFast: (db, attempt) => attempt(),
+  retry: (
+    db,
+    attempt,
+    {
+      initialDelayMs = 25,
+      maxDelayMs = 1000,
+      deadlineMs = 5000
+    }
+  ) => {
+    const deadline = Date.now() + deadlineMs
+    const tryAfter = delay => attempt().catch(
+      e => {
+        // only contention is worth waiting out
+        if(e.code !== "EBUSY") throw e
+        if(Date.now() + delay > deadline) throw new BusyError(
+          `${
+            e.message
+          } Gave up retrying after ${
+            deadlineMs
+          }ms.`,
+          {
+            path: e.path,
+            operation: e.operation
+          }
+        )
+        return sleep(
+          delay
+        ).then(
+          () => tryAfter(
+            Math.min(
+              delay * 2,
+              maxDelayMs
+            )
+          )
+        )
+      }
+    )
+    return tryAfter(
+      initialDelayMs
+    )
+  },
+  queue: (
+    db,
+    attempt,
+    {
+      timeoutMs = 5000,
+      pollMs = 100
+    }
+  ) => new Promise(
+    (res, rej) => {
+      const queue = lockQueues.get(
+        db
+      ) || {
+        waiters: [],
+        wake: null
+      }
+      queue.waiters.push({
+        attempt,
+        res,
+        rej,
+        timeoutMs,
+        pollMs,
+        deadline: Date.now() + timeoutMs
+      })
+      if(!lockQueues.has(db)){
+        lockQueues.set(
+          db,
+          queue
+        )
+        serviceLockQueue(
+          db,
+          queue
+        )
+      }
+    }
+  )
+}
+
+// keeps locks alive while an operation runs by renewing them every third of
+// their duration. onLost is called once, with the reason, if a renewal fails.
+function holdLease(
+  db,
+  locks,
+  durationMs,
+  onLost
+){
+  let stopped = false
+  const renew = () => Promise.all(
+    locks.map(
+      ({ id, token }) => renewLock(
+        db,
+        id,
+        token,
+        durationMs
+      )
+    )
+  )
+  const timer = setInterval(
+    () => renew().catch(
+      e => {
+        if(stopped) return
+        stopped = true
+        clearInterval(
+          timer
+        )
+        onLost(
+          e
+        )
+      }
+    ),
+    Math.max(
+      Math.floor(
+        durationMs / 3
+      ),
+      1
+    )
+  )
+  return {
+    renew,
+    stop: () => {
+      stopped = true
+      clearInterval(
+        timer
+      )
+    }
+  }
+}
+
+function lockedTransaction(
+  db,
+  cwd,
+  paths,
+  durationMs,
+  mode,
+  operation,
+  policy = {
+    type: "failFast"
+  },
+  owner = {}
+){
+  const lockMode = mode === "readonly" ? "shared" : "exclusive"
+  const acquire = acquisitionPolicies[policy.type]
+  if(!acquire) return Promise.reject(
+    new InvalidArgumentError(
+      `Unknown lock acquisition policy ${
+        policy.type
+      }`,
+      {
+        operation: "lockedTransaction"
+      }
+    )
+  )
+  let newLocks = []
+  let lease = null
+  let leaseLost = null
+  let running = null
+  return (async () => {
+    try {
+      newLocks = await acquire(
+        db,
+        () => acquireLocks(
+          db,
+          cwd,
+          paths,
+          durationMs,
+          lockMode,
+          owner
+        ),
+        policy
+      )
+      lease = holdLease(
+        db,
+        newLocks,
+        durationMs,
+        e => {
+          leaseLost = new BusyError(
+            `Lost the lease on the locks held for this operation: ${
+              e.message
+            }`,
+            {
+              path: e.path,
+              operation: "lockedTransaction"
+            }
+          )
+          if(running){
+            try {
+              running.abort()
+            } catch (_) { }
+          }
+        }
+      )
+      // the first renewal doubles as the check that the locks are still held
+      await lease.renew()
+      return await withTransaction(
+        db,
+        [
+          "entity",
+          "content"
+        ],
+        mode,
+        tx => {
+          running = tx
+          if(leaseLost) throw leaseLost
+          return operation(
+            tx
+          )
+        }
+      )
+    } catch (e) {
+      throw leaseLost || e
+    } finally {
+      if(lease) lease.stop();
+      for (const { id, token } of newLocks) {
+        await removeLock(
+          db,
+          id,
+          token
+        )
+      }
+      if(newLocks.length) wakeLockQueue(
+        db
+      );
+    }
+  })()
+}
+
+// resolves with { id, token } of the new lock row. owner is { holder, command }.
+function lockPath(
+  db,
+  cwd,
+  path,
+  durationMs,
+  mode = "exclusive",
+  owner = {},
+  tx
+){
+  const n = normalize(
+    path,
+    absPathToPieces(
+      cwd
+    )
+  )
+  const contended = () => new BusyError(
+    `Could not acquire ${
+      mode
+    } lock for path prefix ${
+      n
+    }`,
+    {
+      path: n,
+      operation: "lockPath"
+    }
+  )
+  return withTransaction(
+    db,
+    "lock",
+    "readwrite",
+    t => {
+      const time = Date.now()
+      return t.scan(
+        "lock",
+        {
+          index: "pathPrefix",
+          only: n
+        }
+      ).catch(
+        () => {
+          throw new IOError(
+            `Could not read locks held on path prefix ${
+              n
+            }`,
+            {
+              path: n,
+              operation: "lockPath"
+            }
+          )
+        }
+      ).then(
+        held => {
+          const blocking = findConflictingLocks(
+            [
+              {
+                pathPrefix: n,
+                mode
+              }
+            ],
+            held,
+            time
+          )
+          if(blocking.length) throw contended()
+          const token = newToken()
+          return t.add(
+            "lock",
+            {
+              pathPrefix: n,
+              mode,
+              expiry: time + durationMs,
+              createdAt: time,
+              holder: owner.holder || null,
+              command: owner.command || null,
+              token
+            }
+          ).then(
+            id => ({
+              id,
+              token
+            }),
+            () => {
+              throw contended()
+            }
+          )
+        }
+      )
+    },
+    tx
+  )
+}
+
+// resolves 1 if the lock was released, 0 if it was already gone or the token
+// does not match
+function removeLock(
+  db,
+  id,
+  token,
+  tx
+){
+  return withTransaction(
+    db,
+    "lock",
+    "readwrite",
+    t => t.get(
+      "lock",
+      id
+    ).then(
+      lock => {
+        if(!lock || lock.token !== token) return 0
+        return t.delete(
+          "lock",
+          id
+        ).then(
+          () => 1
+        )
+      }
+    ).catch(
+      () => 0
+    ),
+    tx
+  ).catch(
+    () => 0
+  )
+}
+
+// resolves with the new expiry
+function renewLock(
+  db,
+  id,
+  token,
+  durationMs,
+  tx
+){
+  return withTransaction(
+    db,
+    "lock",
+    "readwrite",
+    t => t.get(
+      "lock",
+      id
+    ).catch(
+      () => {
+        throw new IOError(
+          `Could not get lock ${
+            id
+          }.`,
+          {
+            operation: "renewLock"
+          }
+        )
+      }
+    ).then(
+      lock => {
+        const time = Date.now()
+        if(!lock) throw new NotFoundError(
+          `Lock ${
+            id
+          } is no longer held.`,
+          {
+            operation: "renewLock"
+          }
+        )
+        if(lock.expiry <= time) throw new NotFoundError(
+          `Lock ${
+            id
+          } expired before it could be renewed.`,
+          {
+            path: lock.pathPrefix,
+            operation: "renewLock"
+          }
+        )
+        if(lock.token !== token) throw new PermissionDeniedError(
+          `Lock ${
+            id
+          } is held by another owner.`,
+          {
+            path: lock.pathPrefix,
+            operation: "renewLock"
+          }
+        )
+        const expiry = time + durationMs
+        return t.put(
+          "lock",
+          {
+            ...lock,
+            expiry
+          }
+        ).then(
+          () => expiry,
+          () => {
+            throw new IOError(
+              `Could not renew lock ${
+                id
+              }.`,
+              {
+                path: lock.pathPrefix,
+                operation: "renewLock"
+              }
+            )
+          }
+        )
+      }
+    ),
+    tx
+  )
+}
+
+// resolves with the lock records that conflict with the given lock ids
+function getConflictingLocks(
+  db,
+  referenceLockIds,
+  unexpiredLocksOnly = true,
+  tx
+){
+  return withTransaction(
+    db,
+    "lock",
+    "readonly",
+    t => Promise.all(
+      referenceLockIds.map(
+        id => t.get(
+          "lock",
+          id
+        ).then(
+          lock => {
+            if(lock) return lock
+            throw new NotFoundError(
+              `Could not find lock ${
+                id
+              }.`,
+              {
+                operation: "getConflictingLocks"
+              }
+            )
+          },
+          () => {
+            throw new IOError(
+              `Could not get lock ${
+                id
+              }.`,
+              {
+                operation: "getConflictingLocks"
+              }
+            )
+          }
+        )
+      )
+    ).then(
+      referenceLocks => {
+        const now = Date.now()
+        return t.scan(
+          "lock",
+          unexpiredLocksOnly ? {
+            index: "expiry",
+            lower: now,
+            lowerOpen: true
+          } : {
+            index: "expiry"
+          }
+        ).then(
+          locks => findConflictingLocks(
+            referenceLocks,
+            locks,
+            now,
+            unexpiredLocksOnly
+          ).map(
+            ({ token, ...lock }) => lock
+          ),
+          () => {
+            throw new IOError(
+              `Could not get comparison locks for conflict detection.`,
+              {
+                operation: "getConflictingLocks"
+              }
+            )
+          }
+        )
+      }
+    ),
+    tx
+  )
+}
+
+function rejectIfConflictingLockPathPrefixes(
+  db,
+  referenceLockIds,
+  unexpiredLocksOnly = true,
+  tx
+){
+  return getConflictingLocks(
+    db,
+    referenceLockIds,
+    unexpiredLocksOnly,
+    tx
+  ).then(
+    conflicts => {
+      if(conflicts.length) throw new BusyError(
+        `Just acquired locks conflict with ${
+          conflicts.length
+        } other locks: ${
+          conflicts.map(
+            describeLock
+          ).join(
+            ", "
+          )
+        }. Considering only unexpired locks: ${
+          unexpiredLocksOnly + ""
+        }.`,
+        {
+          path: conflicts[0].pathPrefix,
+          operation: "rejectIfConflictingLockPathPrefixes"
+        }
+      )
+      return `No conflicting locks found. Considering only unexpired locks: ${
+        unexpiredLocksOnly + ""
+      }.`
+    }
+  )
+}
+
+// every lock row without its token, for debugging stuck operations
+function listLocks(
+  db,
+  tx
+){
+  return withTransaction(
+    db,
+    "lock",
+    "readonly",
+    t => t.scan(
+      "lock"
+    ).then(
+      locks => {
+        const now = Date.now()
+        return locks.map(
+          ({ token, ...lock }) => ({
+            ...lock,
+            expired: lock.expiry <= now
+          })
+        )
+      },
+      () => {
+        throw new IOError(
+          "Could not list locks.",
+          {
+            operation: "listLocks"
+          }
+        )
+      }
+    ),
+    tx
+  )
+}
+
+// one pass over the expiry index, deleting as it goes, inside a single
+// transaction; resolves the counts for telemetry
+function pruneExpiredLocks(
+  db,
+  tx
+){
+  const started = Date.now()
+  return withTransaction(
+    db,
+    "lock",
+    "readwrite",
+    t => t.deleteMatching(
+      "lock",
+      {
+        index: "expiry",
+        upper: started
+      }
+    ).catch(
+      () => {
+        throw new IOError(
+          "Error pruning expired locks.",
+          {
+            operation: "pruneExpiredLocks"
+          }
+        )
+      }
+    ).then(
+      pruned => t.count(
+        "lock"
+      ).then(
+        remaining => ({
+          pruned,
+          remaining,
+          durationMs: Date.now() - started
+        }),
+        () => {
+          throw new IOError(
+            "Error counting locks after pruning.",
+            {
+              operation: "pruneExpiredLocks"
+            }
+          )
+        }
+      )
+    ),
+    tx
+  )
+}
+
+export {
+  newToken,
+  pathPrefixesOverlap,
+  findConflictingLocks,
+  lockedTransaction,
+  lockPath,
+  removeLock,
+  renewLock,
+  getConflictingLocks,
+  rejectIfConflictingLockPathPrefixes,
+  listLocks,
+  pruneExpiredLocks
+}
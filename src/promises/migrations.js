@@ -0,0 +1,306 @@
+/*
+Schema migrations
+-----------------
+* these migrate IndexedDB databases; backends/indexedDB.js runs them on open. the memory backend always creates the current schema.
+* the database version passed to init is the schema version. opening at a higher version than the database has runs, inside the versionchange transaction, every registered migration between the two, in order.
+* a migration is { from, to, description, up(db, tx) }. up may create stores (db.createObjectStore), add indexes (addIndex) and backfill fields on existing records (backfill). it must not await anything but requests on tx.
+* up may return a promise that settles once its requests are done; the next migration waits for it, so two migrations never rewrite the same records at once. a rejected promise aborts the upgrade.
+* versions without a registered migration change nothing but the version number.
+* after an upgrade the metadata store records { key: "schemaVersion", version, previousVersion, migrations, migratedAt }.
+* a database without a metadata store predates this registry, so every migration is replayed on it. migrations are written to be idempotent for that reason.
+* 2 -> 3 splits file content into chunks (see utils/content.js). the old content store is renamed legacyContent, a content store keyed by [leafPath, chunkIndex] takes its place, and legacyContent is deleted once every record is copied over. backends/indexedDB.js refuses to open a database that still has single-record content below version 3.
+
+Metadata
+--------
+- key
+- <version>
+- <previousVersion>
+- <migrations>
+- <migratedAt>
+*/
+import { createStores } from "./schema.js"
+import { sizeOf, encodeContent, toChunks } from "../utils/content.js"
+
+function addIndex(
+  tx,
+  storeName,
+  indexName,
+  keyPath,
+  options = {}
+){
+  const store = tx.objectStore(
+    storeName
+  )
+  if(!store.indexNames.contains(indexName)) store.createIndex(
+    indexName,
+    keyPath,
+    options
+  );
+}
+
+// calls visit with every record of a store, with its cursor; resolves once
+// the cursor is done
+function eachRecord(
+  tx,
+  storeName,
+  visit
+){
+  return new Promise(
+    (res, rej) => {
+      const rq = tx
+        .objectStore(
+          storeName
+        )
+        .openCursor()
+      rq.onsuccess = () => {
+        const cursor = rq.result
+        if(!cursor) return res();
+        visit(
+          cursor.value,
+          cursor
+        )
+        cursor.continue()
+      }
+      rq.onerror = () => {
+        rej(
+          rq.error
+        )
+      }
+    }
+  )
+}
+
+// rewrites every record for which fill returns a replacement; records it
+// returns undefined for are left alone
+function backfill(
+  tx,
+  storeName,
+  fill
+){
+  return eachRecord(
+    tx,
+    storeName,
+    (value, cursor) => {
+      const replacement = fill(
+        value
+      )
+      if(replacement !== undefined) cursor.update(
+        replacement
+      );
+    }
+  )
+}
+
+const migrations = [
+  {
+    from: 0,
+    to: 1,
+    description: "entity, content and lock stores",
+    up: (db, tx) => {
+      // lock rows are short-lived, so a lock store from before lock modes is
+      // simply recreated in the per-holder shape
+      if(
+        db.objectStoreNames.contains("lock") &&
+        tx.objectStore("lock").keyPath !== "id"
+      ){
+        db.deleteObjectStore(
+          "lock"
+        )
+      }
+      createStores(
+        db,
+        tx
+      )
+    }
+  },
+  {
+    from: 1,
+    to: 2,
+    description: "size on file entities",
+    up: (db, tx) => {
+      // sizes are gathered from the content store first, so the entities are
+      // rewritten by backfill like any other field and never from a stale read.
+      // content written in chunks has a record per chunk, so they are summed
+      const sizes = new Map()
+      return eachRecord(
+        tx,
+        "content",
+        record => {
+          sizes.set(
+            record.leafPath,
+            (sizes.get(record.leafPath) || 0) + sizeOf(
+              record.content
+            )
+          )
+        }
+      ).then(
+        () => backfill(
+          tx,
+          "entity",
+          entity => entity.isLeaf && typeof entity.size !== "number" ? {
+            ...entity,
+            size: sizes.get(entity.path) || 0
+          } : undefined
+        )
+      )
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: "content split into chunks",
+    up: (db, tx) => {
+      if(Array.isArray(tx.objectStore("content").keyPath)) return;
+      tx.objectStore(
+        "content"
+      ).name = "legacyContent"
+      createStores(
+        db,
+        tx
+      )
+      const content = tx.objectStore(
+        "content"
+      )
+      const files = new Map()
+      return eachRecord(
+        tx,
+        "legacyContent",
+        record => {
+          // anything that was neither text nor bytes is kept as its JSON text
+          const {
+            encoding,
+            size,
+            bytes
+          } = encodeContent(
+            record.leafPath,
+            typeof record.content === "string" || ArrayBuffer.isView(record.content) || record.content == null ? record.content : JSON.stringify(
+              record.content
+            ),
+            "migrate"
+          )
+          files.set(
+            record.leafPath,
+            {
+              encoding,
+              size
+            }
+          )
+          toChunks(
+            record.leafPath,
+            bytes
+          ).forEach(
+            chunk => content.put(
+              chunk
+            )
+          )
+        }
+      ).then(
+        () => {
+          db.deleteObjectStore(
+            "legacyContent"
+          )
+          return backfill(
+            tx,
+            "entity",
+            entity => entity.isLeaf ? {
+              ...entity,
+              ...(
+                files.get(entity.path) || {
+                  encoding: "utf8",
+                  size: 0
+                }
+              )
+            } : undefined
+          )
+        }
+      )
+    }
+  }
+]
+
+// call from onupgradeneeded with the versionchange transaction
+function upgradeDatabase(
+  db,
+  tx,
+  oldVersion,
+  newVersion,
+  registry = migrations
+){
+  const previousVersion = db.objectStoreNames.contains("metadata") ? oldVersion : 0
+  const applied = registry
+    .filter(
+      m => m.from >= previousVersion && m.to <= newVersion
+    )
+    .sort(
+      (a, b) => a.from - b.from
+    )
+  // migrations that return nothing run straight away, as before; one that
+  // returns a promise holds back the ones after it until it settles
+  Promise.resolve(
+    applied.reduce(
+      (previous, m) => previous && typeof previous.then === "function" ? previous.then(
+        () => m.up(
+          db,
+          tx
+        )
+      ) : m.up(
+        db,
+        tx
+      ),
+      undefined
+    )
+  ).catch(
+    () => {
+      tx.abort()
+    }
+  )
+  if(!db.objectStoreNames.contains("metadata")){
+    db.createObjectStore(
+      "metadata",
+      {
+        keyPath: "key"
+      }
+    )
+  }
+  tx.objectStore(
+    "metadata"
+  ).put({
+    key: "schemaVersion",
+    version: newVersion,
+    previousVersion: oldVersion,
+    migrations: applied.map(
+      m => `${m.from}->${m.to}: ${m.description}`
+    ),
+    migratedAt: Date.now()
+  })
+  return applied
+}
+
+// resolves the recorded schema version record, or null for a filesystem
+// that has never been upgraded through the registry. takes a backend
+// connection (see backends/backend.js)
+function getSchemaVersion(
+  db
+){
+  if(!db.storeNames.includes("metadata")) return Promise.resolve(
+    null
+  )
+  return db.transaction(
+    "metadata",
+    "readonly",
+    tx => tx.get(
+      "metadata",
+      "schemaVersion"
+    )
+  ).then(
+    record => record || null
+  )
+}
+
+export {
+  migrations,
+  addIndex,
+  backfill,
+  upgradeDatabase,
+  getSchemaVersion
+}
@@ -0,0 +1,105 @@
+/*
+Schema
+------
+* the one definition of the filesystem's object stores and their indexes. every backend creates its collections from it: the IndexedDB backend through the baseline migration, the memory backend directly.
+* createStores is the IndexedDB side. it only adds what is missing, so it is safe to run against a database that already has some or all of them.
+* content holds each file's bytes in chunks keyed by [leafPath, chunkIndex] (see utils/content.js). filesystems from before chunking keep one record per file, keyed by leafPath, until the 2 -> 3 migration splits them.
+* seedRoot adds the root directory "/" unless it is already there.
+*/
+
+const stores = {
+  entity: {
+    options: {
+      keyPath: "path"
+    },
+    indexes: [
+      ["name", "name"],
+      ["parentPath", "parentPath"],
+      ["createdAt", "createdAt"],
+      ["updatedAt", "updatedAt"],
+      ["uniqueParentChild", ["parentPath", "name"], { unique: true }]
+    ]
+  },
+  content: {
+    options: {
+      keyPath: ["leafPath", "chunkIndex"]
+    },
+    indexes: []
+  },
+  lock: {
+    options: {
+      keyPath: "id",
+      autoIncrement: true
+    },
+    indexes: [
+      ["pathPrefix", "pathPrefix"],
+      ["expiry", "expiry"],
+      ["createdAt", "createdAt"]
+    ]
+  },
+  metadata: {
+    options: {
+      keyPath: "key"
+    },
+    indexes: []
+  }
+}
+
+// call with an IndexedDB versionchange transaction
+function createStores(
+  db,
+  tx
+){
+  Object.entries(
+    stores
+  ).forEach(
+    ([name, { options, indexes }]) => {
+      const store = db.objectStoreNames.contains(name) ? tx.objectStore(name) : db.createObjectStore(
+        name,
+        options
+      )
+      indexes.forEach(
+        ([indexName, keyPath, indexOptions = {}]) => {
+          if(!store.indexNames.contains(indexName)) store.createIndex(
+            indexName,
+            keyPath,
+            indexOptions
+          );
+        }
+      )
+    }
+  )
+}
+
+function seedRoot(
+  db
+){
+  const t = Date.now()
+  return db.transaction(
+    "entity",
+    "readwrite",
+    tx => tx.add(
+      "entity",
+      {
+        name: "",
+        path: "/",
+        isLeaf: false,
+        parentPath: null,
+        createdAt: t,
+        updatedAt: t
+      }
+    ).then(
+      () => undefined,
+      e => {
+        // the root is already there
+        if(e.code !== "EEXIST") throw e
+      }
+    )
+  )
+}
+
+export {
+  stores,
+  createStores,
+  seedRoot
+}
@@ -0,0 +1,282 @@
+/*
+
+Cross-context coordination over a storageHierarchy actor. a drop-in replacement for it: commands go to the wrapped actor and its replies come back unchanged.
+
+* once a filesystem is initialized or restored, each context (tab, worker, node process) joins a BroadcastChannel named `vzfs:<fsName>`.
+* a successful mutation is announced on the channel. peers tell their storageHierarchy (remoteMutation) so it can drop state the mutation may have made stale; a cwd deleted elsewhere is reset to "/" and reported as cwdInvalidated.
+* peerMutation is also sent to the parent, carrying the success event the other context received, minus its requestId.
+* contexts heartbeat every heartbeatMs (init option, default 1000). a peer silent for three heartbeats is dropped; one that closes says goodbye.
+* the live context with the lowest id leads. only the leader prunes expired locks; leadershipChanged is sent to the parent whenever that flips.
+* a message that cannot be posted to the channel is reported to the parent as channelPostFailed, with the message type and msg.
+
+*/
+import { actions, createMachine, send, sendParent } from "xstate"
+import storageHierarchy, { commandTypes } from "./storageHierarchy.js"
+import { newToken } from "../promises/lockManager.js"
+
+const { assign, forwardTo } = actions
+
+const mutationSuccessTypes = [
+  "createFileSuccess",
+  "writeFileSuccess",
+  "updateFileTimestampSuccess",
+  "updateFileSuccess",
+  "writeFileRangeSuccess",
+  "deleteFileSuccess",
+  "moveFileSuccess",
+  "renameFileSuccess",
+  "createDirectorySuccess",
+  "emptyDirectorySuccess",
+  "deleteDirectoryIfEmptySuccess",
+  "moveDirectorySuccess",
+  "renameDirectorySuccess",
+  "transactionSuccess"
+]
+
+const coordinationChannel = ctx => (sendBack, onReceive) => {
+  const id = newToken()
+  const channel = new BroadcastChannel(
+    `vzfs:${ctx.fsName}`
+  )
+  const peers = new Map()
+  let leader = false
+  let electing = false
+  const post = message => {
+    try {
+      channel.postMessage({
+        ...message,
+        from: id
+      })
+    } catch(e) {
+      sendBack({
+        type: "channelPostFailed",
+        message: message.type,
+        msg: String(e)
+      })
+    }
+  }
+  const elect = () => {
+    const now = Date.now()
+    for (const [peer, lastSeen] of peers) {
+      if (now - lastSeen > ctx.heartbeatMs * 3) peers.delete(peer);
+    }
+    const isLeader = [...peers.keys()].every(
+      peer => id < peer
+    )
+    if (isLeader === leader) return
+    leader = isLeader
+    sendBack({
+      type: "leadershipChanged",
+      leader,
+      peerCount: peers.size
+    })
+  }
+  channel.onmessage = ({ data }) => {
+    if (!data || data.from === id) return
+    if (data.type === "goodbye") {
+      peers.delete(
+        data.from
+      )
+      if (electing) elect();
+      return
+    }
+    peers.set(
+      data.from,
+      Date.now()
+    )
+    if (data.type === "mutation") {
+      sendBack({
+        type: "peerMutation",
+        from: data.from,
+        mutation: data.mutation
+      })
+    }
+  }
+  const heartbeat = () => {
+    post({
+      type: "heartbeat"
+    })
+    if (electing) elect();
+  }
+  heartbeat()
+  const heartbeats = setInterval(
+    heartbeat,
+    ctx.heartbeatMs
+  )
+  // give peers two heartbeats to introduce themselves before the first election
+  const firstElection = setTimeout(
+    () => {
+      electing = true
+      elect()
+    },
+    ctx.heartbeatMs * 2
+  )
+  onReceive(evt => {
+    if (evt.type === "announceMutation") {
+      post({
+        type: "mutation",
+        mutation: evt.mutation
+      })
+    }
+  })
+  return () => {
+    clearInterval(heartbeats)
+    clearTimeout(firstElection)
+    post({
+      type: "goodbye"
+    })
+    channel.close()
+  }
+}
+
+// init and restoreFilesystemFromJSON both leave the wrapped actor on an open
+// filesystem, so either one decides the channel to join
+const rememberFilesystem = assign((ctx, evt) => ({
+  ...ctx,
+  fsName: evt.type === "init" ? evt.filesystemName : evt.fsName,
+  heartbeatMs: typeof evt.heartbeatMs === "number" && evt.heartbeatMs > 0 ? evt.heartbeatMs : 1000
+}))
+
+const coordinator = createMachine({
+  id: "coordinator",
+  predictableActionArguments: true,
+  context: {
+    fsName: null,
+    heartbeatMs: 1000,
+    leader: false,
+    backend: null
+  },
+  invoke: {
+    id: "fs",
+    // the wrapped actor keeps its own default backend unless one is given
+    src: ctx => ctx.backend ? storageHierarchy.withContext({
+      ...storageHierarchy.context,
+      backend: ctx.backend
+    }) : storageHierarchy
+  },
+  initial: "detached",
+  states: {
+    detached: {
+      on: {
+        init: {
+          actions: [
+            rememberFilesystem,
+            forwardTo("fs")
+          ]
+        },
+        restoreFilesystemFromJSON: {
+          actions: [
+            rememberFilesystem,
+            forwardTo("fs")
+          ]
+        },
+        initSuccess: {
+          target: "attached",
+          actions: sendParent((_, evt) => evt)
+        },
+        restoreFilesystemFromJSONSuccess: {
+          target: "attached",
+          actions: sendParent((_, evt) => evt)
+        }
+      }
+    },
+    attached: {
+      // pruning waits until this context is elected
+      entry: send(
+        {
+          type: "setLockPruning",
+          enabled: false
+        },
+        {
+          to: "fs"
+        }
+      ),
+      invoke: {
+        id: "channel",
+        src: coordinationChannel
+      },
+      on: {
+        close: {
+          target: "detached",
+          actions: [
+            assign(ctx => ({
+              ...ctx,
+              leader: false
+            })),
+            forwardTo("fs")
+          ]
+        },
+        ...Object.fromEntries(
+          mutationSuccessTypes.map(
+            type => [
+              type,
+              {
+                actions: [
+                  sendParent((_, evt) => evt),
+                  send(
+                    (_, { requestId, ...mutation }) => ({
+                      type: "announceMutation",
+                      mutation
+                    }),
+                    {
+                      to: "channel"
+                    }
+                  )
+                ]
+              }
+            ]
+          )
+        ),
+        peerMutation: {
+          actions: [
+            send(
+              (_, evt) => ({
+                type: "remoteMutation",
+                from: evt.from,
+                mutation: evt.mutation
+              }),
+              {
+                to: "fs"
+              }
+            ),
+            sendParent((_, evt) => evt)
+          ]
+        },
+        channelPostFailed: {
+          actions: sendParent((_, evt) => evt)
+        },
+        leadershipChanged: {
+          actions: [
+            assign((ctx, evt) => ({
+              ...ctx,
+              leader: evt.leader
+            })),
+            send(
+              (_, evt) => ({
+                type: "setLockPruning",
+                enabled: evt.leader
+              }),
+              {
+                to: "fs"
+              }
+            ),
+            sendParent((_, evt) => evt)
+          ]
+        }
+      }
+    }
+  },
+  on: {
+    ...Object.fromEntries(
+      [...commandTypes, "pruneExpiredLocks"].map(
+        type => [type, { actions: forwardTo("fs") }]
+      )
+    ),
+    // everything else is a reply from the wrapped actor
+    "*": {
+      actions: sendParent((_, evt) => evt)
+    }
+  }
+})
+
+export default coordinator
@@ -38,6 +38,7 @@ Entity
 Lock
 ----
 - id
+- mode
 - expiry
 - pathPrefix
 - createdAt
@@ -47,8 +48,10 @@ Operations
 * below operations must all follow this order:
 1. resolve path
 2. try once to acquire (an) expiring lock(s) with prefix(es) being resolved path(s). quit if not acquired
-3. perform operations on Entity table.
+3. perform operations in a single transaction spanning the entity and content tables, renewing the lease on the acquired lock(s) while it runs. if a renewal fails the transaction is aborted.
 4. delete the acquired lock(s).
+* before init (or a restore), every command but init, listFilesystems, dropFilesystem and restoreFilesystemFromJSON fails with EINVAL.
+* mutating commands are handled one at a time by the operator. read-only commands (readFile, stat, getDirectoryRecord, ripFilesystemToJSON, listLocks) are each run in a spawned actor, so they are served while a mutation is in flight and only contend with it through the lock table.
 createFile: 
 readFile: {},
 writeFile: {},
@@ -60,49 +63,775 @@ reparentFile: {},
 currentDir: {},
 changeDir: {},
 
+Schema
+------
+* init's version is the schema version. opening an existing filesystem at a higher one runs the registered migrations in between (see promises/migrations.js) and records the new version in the metadata store.
+* filesystems from before schema version 3 keep a file's content in one record. open them at version 3 or later once to split it into chunks; the IndexedDB backend refuses them below that.
+* stores and indexes are defined once, in promises/schema.js. init and restoreFilesystemFromJSON both open the filesystem through the backend and seed the root directory, so a restore leaves the actor initialized on the restored filesystem, exactly as init would.
+
+File Content
+------------
+* files hold text or bytes: createFile, writeFile, updateFileContent, writeFileRange and transaction steps take a string, an ArrayBuffer, a typed array, a DataView or a Blob. the file entity keeps its encoding and size, and the content store its bytes in fixed-size chunks (see utils/content.js).
+* writeFile creates a file, or overwrites the one already at the path, in one locked transaction; it fails with EISDIR if the path is a directory.
+* readFile replies with content as it was stored, or as text or bytes when the command's data carries encoding: "utf8" or "binary".
+* ripFilesystemToJSON base64-encodes every chunk, and restoreFilesystemFromJSON decodes them back to bytes. backups from before chunking still restore.
+* readFile also takes offset and length, in bytes, and replies with just that range. writeFileRange writes its content over a file's bytes from offset on, extending the file if it runs past the end, and replies with bytesWritten and the new size. both only touch the chunks the range overlaps.
+* every file entity carries its size in bytes, set whenever its content is written. stat replies with a path's type ("file" or "directory"), size, createdAt and updatedAt, and a directory's childCount, without reading the content store.
+
+Storage Backends
+----------------
+* context.backend holds every filesystem (see backends/backend.js). it defaults to IndexedDB; run the machine withContext({ ...storageHierarchy.context, backend: createMemoryBackend() }) to keep filesystems in memory instead, or createNodeDirectoryBackend({ root }) to work on directories on a Node host.
+* listFilesystems, dropFilesystem, init and restoreFilesystemFromJSON go through the backend; every other command runs on the connection init opened.
+
 Lock Management
 ---------------
-* pathPrefix column has unique index
-* if lock creation/insertion fails due to this index, one search should be made for the extant lock record to check its expiry. if it is expired, it may be deleted and an automatic retry may happen.
+* one row per holder. pathPrefix is indexed but not unique: read-only commands take shared locks, which coexist on a prefix, while mutating commands take exclusive locks, which exclude every other lock on the prefix, its ancestors and its descendants (see lockManager.js).
+* expired locks never block acquisition. what happens when live locks do is up to the command's acquisition policy: fail fast, retry with exponential backoff up to a deadline, or wait in a FIFO queue. commands carry it as `lockPolicy`; init sets the default.
+* the lockTablePruner deletes expired locks every lockPruneIntervalMs (init option, default 30000), or at once on a pruneExpiredLocks event, and reports each run as locksPruned with its counts.
+
+Failures
+--------
+* every *Failure event carries msg, a readable message, and code, path and operation (the command) from the FilesystemError behind it (see utils/errors.js), so callers can branch on code.
 
 */
-import { createMachine, actions, send, raise, sendParent } from "xstate"
-import { normalize, absPathToPieces } from "../utils/path.js"
+import { createMachine, actions, raise, sendParent, spawn } from "xstate"
+import { normalize, absPathToPieces, parentDirectory, commonAncestor } from "../utils/path.js"
+import {
+  AlreadyExistsError,
+  NotADirectoryError,
+  IsADirectoryError,
+  InvalidArgumentError,
+  PermissionDeniedError,
+  IOError,
+  failureDetails
+} from "../utils/errors.js"
+import { indexedDBBackend } from "../backends/indexedDB.js"
+import { seedRoot } from "../promises/schema.js"
+import { readContent, contentToJSON, chunksFromJSON } from "../utils/content.js"
 import {
-  lockPath,
-  removeLock,
-  getLock,
+  withTransaction,
   entityExists,
-  joinContentToLeaf,
+  readLeafContent,
   getEntity,
-  getEntitiesByPrefix,
   getImmediateChildKeysOfDirectory,
-  insertContentRecord,
-  updateContentRecord,
-  deleteContentRecord,
-  rejectIfConflictingLockPathPrefixes,
+  statEntity,
   addFileEntity,
+  writeFileEntity,
   addDirectoryEntity,
-  deleteEntity,
   deleteLeafEntity,
   deleteDirectoryIfEmpty,
   emptyDirectory,
   updateFile,
   updateFileTimestamp,
+  writeFileRange,
   renameFile,
   reparentLeaf,
-  transplantAncestors,
-  pruneExpiredLocks
+  transplantAncestors
 } from "../promises/IDB.js"
+import {
+  newToken,
+  lockedTransaction,
+  listLocks,
+  pruneExpiredLocks
+} from "../promises/lockManager.js"
+
+const { assign, log, stop, pure } = actions
+
+const uninitializedCommands = [
+  "init",
+  "listFilesystems",
+  "dropFilesystem",
+  "restoreFilesystemFromJSON"
+]
+
+const operatorCommands = [
+  "close",
+  "changeDirectory",
+  "createFile",
+  "writeFile",
+  "updateFileTimestamp",
+  "updateFileContent",
+  "writeFileRange",
+  "deleteFile",
+  "moveFile",
+  "renameFile",
+  "createDirectory",
+  "emptyDirectory",
+  "deleteDirectoryIfEmpty",
+  "moveDirectory",
+  "renameDirectory",
+  "transaction"
+]
+
+// how long each lease on a command's locks lasts before it must be renewed; a
+// command may override the duration the filesystem was initialized with
+const lockDurationFor = (ctx, evt) => typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : ctx.lockDurationMs
+
+// a command may carry its own lock acquisition policy (see lockManager.js);
+// otherwise the one the filesystem was initialized with applies
+const lockPolicyFor = (ctx, evt) => evt.lockPolicy || ctx.lockPolicy
+
+// recorded on every lock a command takes, so listLocks can show who holds what
+const lockOwnerFor = (ctx, evt) => ({
+  holder: ctx.holderId,
+  command: evt.type
+})
+
+// every reply to a command echoes the requestId the command was sent with
+const rememberRequestId = assign((ctx, evt) => ({
+  ...ctx,
+  requestId: typeof evt.requestId === "undefined" ? null : evt.requestId
+}))
+
+// the settings init and restoreFilesystemFromJSON both take
+const configureFilesystem = assign((ctx, evt) => {
+  const fsName = evt.type === "init" ? evt.filesystemName : evt.fsName
+  return {
+    ...ctx,
+    fsName,
+    version: evt.version,
+    lockPolicy: evt.lockPolicy || {
+      type: "failFast"
+    },
+    lockDurationMs: typeof evt.lockDurationMs === "number" && evt.lockDurationMs > 0 ? evt.lockDurationMs : 5000,
+    lockPruneIntervalMs: typeof evt.lockPruneIntervalMs === "number" && evt.lockPruneIntervalMs > 0 ? evt.lockPruneIntervalMs : 30000,
+    holderId: `${
+      fsName
+    }:${
+      newToken()
+    }`
+  }
+})
+
+const rejectBusy = sendParent((_, evt) => ({
+  type: "commandRejectedBusy",
+  command: evt.type,
+  requestId: typeof evt.requestId === "undefined" ? null : evt.requestId
+}))
+
+// commands that need an open filesystem fail at once before init, rather than
+// going unanswered
+const rejectUninitialized = sendParent((_, evt) => ({
+  type: `${evt.type}Failure`,
+  requestId: typeof evt.requestId === "undefined" ? null : evt.requestId,
+  ...failureDetails(
+    new InvalidArgumentError(
+      `Cannot run ${
+        evt.type
+      }: no filesystem is initialized. Send init or restoreFilesystemFromJSON first.`
+    ),
+    evt.type
+  )
+}))
+
+// read-only commands never change the operator's state, so each one runs in
+// its own spawned actor and is accepted whether or not a mutation is in
+// flight. `run` resolves with the result, `reply` shapes the success event.
+const readCommands = {
+  readFile: {
+    run: (ctx, evt) => {
+      const {
+        db,
+        cwd
+      } = ctx
+      const {
+        path,
+        encoding,
+        offset,
+        length
+      } = evt.data
+      return new Promise(
+        (res, rej) => {
+          (async () => {
+            try {
+              const entity = await getEntity(
+                db,
+                cwd,
+                path
+              )
+              res(await lockedTransaction(
+                db,
+                cwd,
+                [entity.path],
+                lockDurationFor(
+                  ctx,
+                  evt
+                ),
+                "readonly",
+                // the entity is read again under the lock: its encoding and
+                // size may have changed while the lock was awaited
+                tx => getEntity(
+                  db,
+                  cwd,
+                  entity.path,
+                  tx
+                ).then(
+                  locked => {
+                    if (!locked.isLeaf) throw new IsADirectoryError(
+                      `Cannot read a directory. Path: ${
+                        locked.path
+                      }`,
+                      {
+                        path: locked.path,
+                        operation: "readFile"
+                      }
+                    )
+                    return readLeafContent(
+                      db,
+                      locked,
+                      {
+                        encoding,
+                        offset,
+                        length
+                      },
+                      tx
+                    )
+                  }
+                ),
+                lockPolicyFor(
+                  ctx,
+                  evt
+                ),
+                lockOwnerFor(
+                  ctx,
+                  evt
+                )
+              ))
+            } catch (e) {
+              rej(e)
+            }
+          })()
+        }
+      )
+    },
+    reply: data => ({
+      file: data
+    })
+  },
+  getDirectoryRecord: {
+    run: (ctx, evt) => {
+      const {
+        db,
+        cwd
+      } = ctx
+      if(
+        typeof evt.data === "undefined"
+      ){
+        return new Promise(
+          r => r(
+            {
+              childKeys: [],
+              cwd: cwd
+            }
+          )
+        )
+      }
+      const {
+        path
+      } = evt.data
+      return new Promise(
+        (res, rej) => {
+          (async () => {
+            try {
+              const entity = await getEntity(
+                db,
+                cwd,
+                path
+              )
+              res(await lockedTransaction(
+                db,
+                cwd,
+                [entity.path],
+                lockDurationFor(
+                  ctx,
+                  evt
+                ),
+                "readonly",
+                tx => {
+                  if (entity.isLeaf) throw new NotADirectoryError(
+                    `Cannot get directory record for leaf entity: ${
+                      entity.path
+                    }`,
+                    {
+                      path: entity.path,
+                      operation: "getDirectoryRecord"
+                    }
+                  )
+                  return getImmediateChildKeysOfDirectory(
+                    db,
+                    cwd,
+                    entity.path,
+                    tx
+                  ).then(
+                    childKeys => ({
+                      entity,
+                      childKeys
+                    })
+                  )
+                },
+                lockPolicyFor(
+                  ctx,
+                  evt
+                ),
+                lockOwnerFor(
+                  ctx,
+                  evt
+                )
+              ))
+            } catch (e) {
+              rej(e)
+            }
+          })()
+        }
+      )
+    },
+    reply: data => ({
+      data
+    })
+  },
+  stat: {
+    run: (ctx, evt) => {
+      const {
+        db,
+        cwd
+      } = ctx
+      const {
+        path
+      } = evt.data
+      return new Promise(
+        (res, rej) => {
+          (async () => {
+            try {
+              const entity = await getEntity(
+                db,
+                cwd,
+                path
+              )
+              res(await lockedTransaction(
+                db,
+                cwd,
+                [entity.path],
+                lockDurationFor(
+                  ctx,
+                  evt
+                ),
+                "readonly",
+                tx => statEntity(
+                  db,
+                  cwd,
+                  entity.path,
+                  tx
+                ),
+                lockPolicyFor(
+                  ctx,
+                  evt
+                ),
+                lockOwnerFor(
+                  ctx,
+                  evt
+                )
+              ))
+            } catch (e) {
+              rej(e)
+            }
+          })()
+        }
+      )
+    },
+    reply: data => ({
+      stat: data
+    })
+  },
+  ripFilesystemToJSON: {
+    run: ({ db }) => withTransaction(
+      db,
+      [
+        "entity",
+        "content",
+        "lock"
+      ],
+      "readonly",
+      tx => Promise.all(
+        [
+          "entity",
+          "content",
+          "lock"
+        ].map(
+          storeName => tx.scan(
+            storeName
+          ).catch(
+            () => {
+              throw new IOError(
+                `Could not getAll ${
+                  storeName
+                } records`,
+                {
+                  operation: "ripFilesystemToJSON"
+                }
+              )
+            }
+          )
+        )
+      )
+    ),
+    reply: data => ({
+      backup: JSON.stringify({
+        entity: data[0],
+        content: data[1].map(
+          contentToJSON
+        ),
+        lock: data[2].map(
+          ({ token, ...lock }) => lock
+        )
+      })
+    })
+  },
+  listLocks: {
+    run: ({ db }) => listLocks(
+      db
+    ),
+    reply: data => ({
+      locks: data
+    })
+  }
+}
+
+// the reader snapshots cwd and db when it is spawned and reports back with
+// readCommandDone/readCommandFailed, which carry what is needed to reply
+const spawnReader = assign((ctx, evt) => {
+  const readerId = `reader-${
+    ctx.readerCount
+  }`
+  const requestId = typeof evt.requestId === "undefined" ? null : evt.requestId
+  return {
+    ...ctx,
+    readerCount: ctx.readerCount + 1,
+    readers: {
+      ...ctx.readers,
+      [readerId]: spawn(
+        sendBack => {
+          readCommands[evt.type].run(
+            ctx,
+            evt
+          ).then(
+            data => sendBack({
+              type: "readCommandDone",
+              command: evt.type,
+              readerId,
+              requestId,
+              data
+            }),
+            e => sendBack({
+              type: "readCommandFailed",
+              command: evt.type,
+              readerId,
+              requestId,
+              ...failureDetails(
+                e,
+                evt.type
+              )
+            })
+          )
+        },
+        readerId
+      )
+    }
+  }
+})
 
-const { assign, log } = actions
+// after another context mutated the filesystem, make sure cwd still exists; a
+// directory deleted or moved elsewhere sends the actor back to root
+const spawnCwdCheck = assign(ctx => {
+  const readerId = `reader-${
+    ctx.readerCount
+  }`
+  return {
+    ...ctx,
+    readerCount: ctx.readerCount + 1,
+    readers: {
+      ...ctx.readers,
+      [readerId]: spawn(
+        sendBack => {
+          entityExists(
+            ctx.db,
+            "/",
+            ctx.cwd
+          ).then(
+            exists => sendBack({
+              type: "cwdChecked",
+              readerId,
+              cwd: ctx.cwd,
+              exists
+            }),
+            () => sendBack({
+              type: "cwdChecked",
+              readerId,
+              cwd: ctx.cwd,
+              exists: true
+            })
+          )
+        },
+        readerId
+      )
+    }
+  }
+})
+
+// on close, readers still in flight are stopped; their replies would arrive
+// once the actor is uninitialized, where nothing handles them
+const stopReaders = [
+  pure(ctx => Object.keys(ctx.readers).map(
+    readerId => stop(readerId)
+  )),
+  assign(ctx => ({
+    ...ctx,
+    readers: {}
+  }))
+]
+
+const retireReader = [
+  stop((_, evt) => evt.readerId),
+  assign((ctx, evt) => {
+    const readers = {
+      ...ctx.readers
+    }
+    delete readers[evt.readerId]
+    return {
+      ...ctx,
+      readers
+    }
+  })
+]
+
+// steps allowed inside a `transaction` command. `paths` lists the paths a
+// step touches so the batch can be locked under their common ancestor, `run`
+// performs the step against the batch's shared transaction.
+const transactionSteps = {
+  createFile: {
+    paths: d => [d.parentPath],
+    run: (db, cwd, d, tx) => addFileEntity(
+      db,
+      cwd,
+      d.name,
+      d.parentPath,
+      d.content,
+      tx
+    ).then(
+      ({ leafPath }) => ({
+        newFilePath: leafPath
+      })
+    )
+  },
+  readFile: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => getEntity(
+      db,
+      cwd,
+      d.path,
+      tx
+    ).then(
+      entity => {
+        if (entity.isLeaf) return readLeafContent(
+          db,
+          entity,
+          {
+            encoding: d.encoding,
+            offset: d.offset,
+            length: d.length
+          },
+          tx
+        )
+        throw new IsADirectoryError(
+          `Cannot read a directory. Path: ${
+            entity.path
+          }`,
+          {
+            path: entity.path,
+            operation: "readFile"
+          }
+        )
+      }
+    )
+  },
+  stat: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => statEntity(
+      db,
+      cwd,
+      d.path,
+      tx
+    )
+  },
+  updateFileTimestamp: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => updateFileTimestamp(
+      db,
+      cwd,
+      d.path,
+      tx
+    )
+  },
+  updateFileContent: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => updateFile(
+      db,
+      cwd,
+      d.path,
+      d.content,
+      tx
+    )
+  },
+  writeFileRange: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => writeFileRange(
+      db,
+      cwd,
+      d.path,
+      d.offset,
+      d.content,
+      tx
+    )
+  },
+  deleteFile: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => deleteLeafEntity(
+      db,
+      cwd,
+      d.path,
+      tx
+    )
+  },
+  moveFile: {
+    paths: d => [d.path, d.newParentPath],
+    run: (db, cwd, d, tx) => reparentLeaf(
+      db,
+      cwd,
+      d.path,
+      d.newParentPath,
+      tx
+    ).then(
+      newFilePath => ({
+        newFilePath
+      })
+    )
+  },
+  renameFile: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => renameFile(
+      db,
+      cwd,
+      d.path,
+      d.newName,
+      tx
+    ).then(
+      newFilePath => ({
+        newFilePath
+      })
+    )
+  },
+  createDirectory: {
+    paths: d => [d.parentPath],
+    run: (db, cwd, d, tx) => addDirectoryEntity(
+      db,
+      cwd,
+      d.name,
+      d.parentPath,
+      tx
+    ).then(
+      newDirectoryPath => ({
+        newDirectoryPath
+      })
+    )
+  },
+  emptyDirectory: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => emptyDirectory(
+      db,
+      cwd,
+      d.path,
+      tx
+    ).then(
+      () => ({})
+    )
+  },
+  deleteDirectoryIfEmpty: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => deleteDirectoryIfEmpty(
+      db,
+      cwd,
+      d.path,
+      tx
+    ).then(
+      () => ({})
+    )
+  },
+  moveDirectory: {
+    paths: d => [d.path, d.newParentPath],
+    run: (db, cwd, d, tx) => transplantAncestors(
+      db,
+      cwd,
+      d.path,
+      d.newParentPath,
+      d.newName,
+      tx
+    ).then(
+      ({ newPath, entitiesMoved }) => ({
+        newDirectoryPath: newPath,
+        entitiesMoved
+      })
+    )
+  },
+  renameDirectory: {
+    paths: d => [d.path],
+    run: (db, cwd, d, tx) => getEntity(
+      db,
+      cwd,
+      d.path,
+      tx
+    ).then(
+      directory => transplantAncestors(
+        db,
+        cwd,
+        directory.path,
+        directory.parentPath || directory.path,
+        d.newName,
+        tx
+      )
+    ).then(
+      ({ newPath, entitiesMoved }) => ({
+        newDirectoryPath: newPath,
+        entitiesMoved
+      })
+    )
+  }
+}
 
 const storageHierarchy = createMachine({
   predictableActionArguments: true,
   initial: "uninitialized",
   context: {
     cwd: "/",
-    fsName: null
+    fsName: null,
+    requestId: null,
+    readers: {},
+    readerCount: 0,
+    lockPolicy: {
+      type: "failFast"
+    },
+    lockDurationMs: 5000,
+    lockPruneIntervalMs: 30000,
+    holderId: null,
+    pruneLocks: true,
+    backend: indexedDBBackend
+  },
+  on: {
+    // a coordinator that elects one context to prune turns it off elsewhere
+    setLockPruning: {
+      actions: assign((ctx, evt) => ({
+        ...ctx,
+        pruneLocks: evt.enabled !== false
+      }))
+    }
   },
   states: {
     uninitialized: {
@@ -110,38 +839,61 @@ const storageHierarchy = createMachine({
       states: {
         idle: {
           on: {
-            init: {
-              target: "initializing",
-              cond: (_, evt) => typeof evt.filesystemName === "string" && typeof evt.version === "number",
-              actions: assign((ctx, evt) => ({
-                ...ctx,
-                fsName: evt.filesystemName,
-                version: evt.version
-              }))
-            },
+            init: [
+              {
+                target: "initializing",
+                cond: (_, evt) => typeof evt.filesystemName === "string" && typeof evt.version === "number",
+                actions: [
+                  rememberRequestId,
+                  configureFilesystem
+                ]
+              },
+              {
+                actions: [
+                  rememberRequestId,
+                  sendParent(ctx => ({
+                    type: "initFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      new InvalidArgumentError(
+                        "init requires a string filesystemName and a numeric version."
+                      ),
+                      "init"
+                    )
+                  }))
+                ]
+              }
+            ],
             listFilesystems: {
-              target: "listingFilesystems"
+              target: "listingFilesystems",
+              actions: rememberRequestId
             },
             dropFilesystem: {
-              target: "droppingFilesystem"
+              target: "droppingFilesystem",
+              actions: rememberRequestId
             },
             restoreFilesystemFromJSON: {
-              target: "restoringFilesystemFromJSON"
+              target: "restoringFilesystemFromJSON",
+              actions: [
+                rememberRequestId,
+                configureFilesystem
+              ]
             }
           }
         },
         listingFilesystems: {
           invoke: {
-            src: () => {
-              return indexedDB.databases()
+            src: ctx => {
+              return ctx.backend.listFilesystems()
             },
             onDone: {
               target: "idle",
               actions: [
                 sendParent(
-                  (_, evt) => {
+                  (ctx, evt) => {
                     return {
                       type: "listFilesystemsSuccess",
+                      requestId: ctx.requestId,
                       filesystems: evt.data
                     }
                   }
@@ -152,9 +904,13 @@ const storageHierarchy = createMachine({
               target: "idle",
               actions: [
                 sendParent(
-                  (_, evt) => ({
+                  (ctx, evt) => ({
                     type: "listFilesystemsFailure",
-                    error: evt.data
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "listFilesystems"
+                    )
                   })
                 )
               ]
@@ -163,27 +919,18 @@ const storageHierarchy = createMachine({
         },
         droppingFilesystem: {
           invoke: {
-            src: (_, evt) => {
-              return new Promise(
-                (res, rej) => {
-                  const rq = indexedDB.deleteDatabase(
-                    evt.fsName
-                  )
-                  rq.onsuccess = () => {
-                    res()
-                  }
-                  rq.onerror = () => {
-                    rej(rq.error)
-                  }
-                }
+            src: (ctx, evt) => {
+              return ctx.backend.dropFilesystem(
+                evt.fsName
               )
             },
             onDone: {
               target: "idle",
               actions: [
                 sendParent(
-                  () => ({
-                    type: "dropFilesystemSuccess"
+                  ctx => ({
+                    type: "dropFilesystemSuccess",
+                    requestId: ctx.requestId
                   })
                 )
               ]
@@ -192,9 +939,13 @@ const storageHierarchy = createMachine({
               target: "idle",
               actions: [
                 sendParent(
-                  (_, evt) => ({
+                  (ctx, evt) => ({
                     type: "dropFilesystemFailure",
-                    error: evt.data
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "dropFilesystem"
+                    )
                   })
                 )
               ]
@@ -203,155 +954,91 @@ const storageHierarchy = createMachine({
         },
         restoringFilesystemFromJSON: {
           invoke: {
-            src: (_, evt) => Promise.resolve(
-              typeof indexedDB.databases !== "undefined" ? indexedDB.databases() : []
-            ).then(
-              databaseNames => new Promise(
-                (res, rej) => {
-                  if(
-                    typeof indexedDB.databases !== "undefined" && databaseNames.includes(
-                      evt.fsName
-                    )
-                  ) {
-                    rej(
-                      "Filesystem with provided name already exists"
-                    )
-                  }
-                  const req = window.indexedDB.open(
-                    evt.fsName, 
-                    evt.version
+            src: (ctx, evt) => ctx.backend.listFilesystems().then(
+              databases => {
+                if(
+                  databases.some(
+                    ({ name }) => name === ctx.fsName
                   )
-                  req.onsuccess = (evt) => {
-                    db = evt.target.result
-                    res(db)
-                  }
-                  req.onerror = () => {
-                    rej()
-                  }
-                  req.onupgradeneeded = e => {
-                    const db = e.target.result
-                    const entity = db.createObjectStore(
-                      "entity", 
-                      {
-                        keyPath: "path"
-                      }
-                    )
-                    entity.createIndex(
-                      "name", 
-                      "name"
-                    )
-                    entity.createIndex(
-                      "parentPath", 
-                      "parentPath"
-                    )
-                    entity.createIndex(
-                      "createdAt", 
-                      "createdAt"
-                    )
-                    entity.createIndex(
-                      "updatedAt", 
-                      "updatedAt"
-                    )
-                    entity.createIndex(
-                      "uniqueParentChild", [
-                      "parentPath",
-                      "name"
-                    ], {
-                      unique: true
-                    }
-                    )
-                    const lock = db.createObjectStore(
-                      "lock", {
-                      keyPath: "pathPrefix"
-                    }
-                    )
-                    lock.createIndex(
-                      "expiry", 
-                      "expiry"
-                    )
-                    lock.createIndex(
-                      "createdAt", 
-                      "createdAt"
-                    )
-                    const content = db.createObjectStore(
-                      "content", 
-                      {
-                        keyPath: "leafPath"
-                      }
-                    )
+                ) throw new AlreadyExistsError(
+                  "Filesystem with provided name already exists",
+                  {
+                    path: ctx.fsName,
+                    operation: "restoreFilesystemFromJSON"
                   }
-                }
-              )
+                )
+                return ctx.backend.open(
+                  ctx.fsName,
+                  ctx.version
+                )
+              }
             ).then(
-              newDB => {
+              db => {
                 const { entity, lock, content } = JSON.parse(
                   evt.backup
                 )
-                return Promise.all(
+                // backups from before chunking carry whole files, whose
+                // encoding and size go on their entities once split
+                const { chunks, files } = chunksFromJSON(
+                  content
+                )
+                return withTransaction(
+                  db,
                   [
-                    Promise.all(
-                      entity.map(e => new Promise(
-                        (res, rej) => {
-                          const tab = newDB
-                            .transaction(
-                              "entity", 
-                              "readwrite"
-                            ).objectStore(
-                              "entity"
-                            )
-                          const req = tab.put(
-                            e
-                          )
-                          req.onsuccess = res
-                          req.onerror = rej
-                        }
-                      ))
-                    ),
-                    Promise.all(
-                      content.map(e => new Promise(
-                        (res, rej) => {
-                          const tab = newDB
-                            .transaction(
-                              "content", 
-                              "readwrite"
-                            ).objectStore(
-                              "content"
-                            )
-                          const req = tab.put(
-                            e
-                          )
-                          req.onsuccess = res
-                          req.onerror = rej
-                        }
-                      ))
-                    ),
-                    Promise.all(
-                      lock.map(e => new Promise(
-                        (res, rej) => {
-                          const tab = newDB
-                            .transaction(
-                              "lock", 
-                              "readwrite"
-                            ).objectStore(
-                              "lock"
-                            )
-                          const req = tab.put(
-                            e
-                          )
-                          req.onsuccess = res
-                          req.onerror = rej
-                        }
-                      ))
+                    "entity",
+                    "content",
+                    "lock"
+                  ],
+                  "readwrite",
+                  tx => Promise.all(
+                    [
+                      [
+                        "entity",
+                        entity.map(
+                          e => files.has(e.path) ? {
+                            ...e,
+                            ...files.get(e.path)
+                          } : e
+                        )
+                      ],
+                      ["content", chunks],
+                      ["lock", lock]
+                    ].map(
+                      ([storeName, records]) => Promise.all(
+                        records.map(e => tx.put(
+                          storeName,
+                          e
+                        ))
+                      )
                     )
-                  ]
+                  )
+                ).then(
+                  // a backup taken from a filesystem without a root still
+                  // restores to one that can be used right away
+                  () => seedRoot(
+                    db
+                  )
+                ).then(
+                  () => db,
+                  e => {
+                    db.close()
+                    throw e
+                  }
                 )
               }
             ),
             onDone: {
-              target: "idle",
+              target: "done",
               actions: [
+                assign((ctx, evt) => ({
+                  ...ctx,
+                  db: evt.data
+                })),
                 sendParent(
-                  "restoreFilesystemFromJSONSuccess"
+                  ctx => ({
+                    type: "restoreFilesystemFromJSONSuccess",
+                    requestId: ctx.requestId
+                  })
                 )
               ]
             },
@@ -359,7 +1046,14 @@ const storageHierarchy = createMachine({
               target: "idle",
               actions: [
                 sendParent(
-                  "restoreFilesystemFromJSONFailure"
+                  (ctx, evt) => ({
+                    type: "restoreFilesystemFromJSONFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "restoreFilesystemFromJSON"
+                    )
+                  })
                 )
               ]
             }
@@ -367,72 +1061,9 @@ const storageHierarchy = createMachine({
         },
         initializing: {
           invoke: {
-            src: ctx => new Promise(
-              (res, rej) => {
-                const req = window.indexedDB.open(
-                  ctx.fsName, 
-                  ctx.version
-                )
-                req.onsuccess = (evt) => {
-                  db = evt.target.result
-                  res(db)
-                }
-                req.onerror = () => {
-                  rej()
-                }
-                req.onupgradeneeded = e => {
-                  const db = e.target.result
-                  const entity = db.createObjectStore(
-                    "entity", 
-                    {
-                      keyPath: "path"
-                    }
-                  )
-                  entity.createIndex(
-                    "name", 
-                    "name"
-                  )
-                  entity.createIndex(
-                    "parentPath", 
-                    "parentPath"
-                  )
-                  entity.createIndex(
-                    "createdAt", 
-                    "createdAt"
-                  )
-                  entity.createIndex(
-                    "updatedAt", 
-                    "updatedAt"
-                  )
-                  entity.createIndex(
-                    "uniqueParentChild", [
-                    "parentPath",
-                    "name"
-                  ], {
-                    unique: true
-                  }
-                  )
-                  const lock = db.createObjectStore(
-                    "lock", {
-                    keyPath: "pathPrefix"
-                  }
-                  )
-                  lock.createIndex(
-                    "expiry", 
-                    "expiry"
-                  )
-                  lock.createIndex(
-                    "createdAt", 
-                    "createdAt"
-                  )
-                  const content = db.createObjectStore(
-                    "content", 
-                    {
-                      keyPath: "leafPath"
-                    }
-                  )
-                }
-              }
+            src: ctx => ctx.backend.open(
+              ctx.fsName,
+              ctx.version
             ),
             onDone: {
               target: "seeding",
@@ -451,6 +1082,16 @@ const storageHierarchy = createMachine({
                 ),
                 log(
                   (_, e) => e.toString()
+                ),
+                sendParent(
+                  (ctx, evt) => ({
+                    type: "initFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "init"
+                    )
+                  })
                 )
               ]
             }
@@ -458,38 +1099,17 @@ const storageHierarchy = createMachine({
         },
         seeding: {
           invoke: {
-            src: ctx => new Promise(
-              (res, rej) => {
-                const { db } = ctx
-                const table = db.transaction(
-                  ["entity"],
-                  "readwrite"
-                ).objectStore("entity")
-                const t = Date.now()
-                const rq = table.add({
-                  name: "",
-                  path: "/",
-                  isLeaf: false,
-                  parentPath: null,
-                  createdAt: t,
-                  updatedAt: t
-                })
-                rq.onsuccess = () => {
-                  res()
-                }
-                rq.onerror = e => {
-                  const name = e.target.error.name
-                  if (name === "ConstraintError") {
-                    res()
-                  } else {
-                    rej(name)
-                  }
-                }
-              }
+            src: ctx => seedRoot(
+              ctx.db
             ),
             onDone: {
               target: "done",
-              actions: []
+              actions: [
+                sendParent(ctx => ({
+                  type: "initSuccess",
+                  requestId: ctx.requestId
+                }))
+              ]
             },
             onError: {
               target: "idle",
@@ -499,6 +1119,16 @@ const storageHierarchy = createMachine({
                 ),
                 log(
                   (_, e) => e.toString()
+                ),
+                sendParent(
+                  (ctx, evt) => ({
+                    type: "initFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "init"
+                    )
+                  })
                 )
               ]
             }
@@ -508,6 +1138,21 @@ const storageHierarchy = createMachine({
           type: "final"
         }
       },
+      on: {
+        ...Object.fromEntries(
+          uninitializedCommands.map(
+            type => [type, { actions: rejectBusy }]
+          )
+        ),
+        ...Object.fromEntries(
+          [
+            ...operatorCommands,
+            ...Object.keys(readCommands)
+          ].map(
+            type => [type, { actions: rejectUninitialized }]
+          )
+        )
+      },
       onDone: "initialized"
     },
     initialized: {
@@ -517,8 +1162,23 @@ const storageHierarchy = createMachine({
           initial: "idle",
           states: {
             idle: {
+              after: {
+                // re-entering idle schedules the next run
+                lockPruneInterval: [
+                  {
+                    target: "pruning",
+                    cond: ctx => ctx.pruneLocks
+                  },
+                  {
+                    target: "idle"
+                  }
+                ]
+              },
               on: {
-                pruneExpiredLocks: "pruning"
+                pruneExpiredLocks: {
+                  target: "pruning",
+                  cond: ctx => ctx.pruneLocks
+                }
               }
             },
             pruning: {
@@ -530,8 +1190,19 @@ const storageHierarchy = createMachine({
                 ) => pruneExpiredLocks(
                   db
                 ),
-                onDone: "idle",
-                onError: "idle"
+                onDone: {
+                  target: "idle",
+                  actions: sendParent((_, evt) => ({
+                    type: "locksPruned",
+                    ...evt.data
+                  }))
+                },
+                onError: {
+                  target: "idle",
+                  actions: log(
+                    (_, evt) => `Pruning expired locks failed: ${evt.data}`
+                  )
+                }
               }
             },
             done: {
@@ -544,29 +1215,137 @@ const storageHierarchy = createMachine({
         },
         operator: {
           initial: "awaitingCommand",
+          on: {
+            ...Object.fromEntries(
+              operatorCommands.map(
+                type => [type, { actions: rejectBusy }]
+              )
+            ),
+            ...Object.fromEntries(
+              Object.keys(readCommands).map(
+                type => [type, { actions: spawnReader }]
+              )
+            ),
+            readCommandDone: {
+              actions: [
+                sendParent((_, evt) => ({
+                  type: `${evt.command}Success`,
+                  requestId: evt.requestId,
+                  ...readCommands[evt.command].reply(evt.data)
+                })),
+                ...retireReader
+              ]
+            },
+            remoteMutation: {
+              cond: ctx => ctx.cwd !== "/",
+              actions: spawnCwdCheck
+            },
+            cwdChecked: [
+              {
+                cond: (ctx, evt) => !evt.exists && ctx.cwd === evt.cwd,
+                actions: [
+                  assign(ctx => ({
+                    ...ctx,
+                    cwd: "/"
+                  })),
+                  sendParent((_, evt) => ({
+                    type: "cwdInvalidated",
+                    previousCwd: evt.cwd,
+                    cwd: "/"
+                  })),
+                  ...retireReader
+                ]
+              },
+              {
+                actions: retireReader
+              }
+            ],
+            readCommandFailed: {
+              actions: [
+                sendParent((_, evt) => ({
+                  type: `${evt.command}Failure`,
+                  requestId: evt.requestId,
+                  msg: evt.msg,
+                  code: evt.code,
+                  path: evt.path,
+                  operation: evt.operation
+                })),
+                ...retireReader
+              ]
+            }
+          },
           states: {
             awaitingCommand: {
               entry: [
-                raise(
-                  "pruneExpiredLocks"
-                ),
                 sendParent(
                   "vzfsAwaitingCommand"
                 ),
               ],
               on: {
-                close: "close",
-                changeDirectory: "changeDirectory",
-                createFile: "createFile",
-                readFile: "readFile",
-                updateFileTimestamp: "updateFileTimestamp",
-                updateFileContent: "updateFileContent",
-                deleteFile: "deleteFile",
-                createDirectory: "createDirectory",
-                getDirectoryRecord: "getDirectoryRecord",
-                emptyDirectory: "emptyDirectory",
-                deleteDirectoryIfEmpty: "deleteDirectoryIfEmpty",
-                ripFilesystemToJSON: "ripFilesystemToJSON",
+                close: {
+                  target: "close",
+                  actions: rememberRequestId
+                },
+                changeDirectory: {
+                  target: "changeDirectory",
+                  actions: rememberRequestId
+                },
+                createFile: {
+                  target: "createFile",
+                  actions: rememberRequestId
+                },
+                writeFile: {
+                  target: "writeFile",
+                  actions: rememberRequestId
+                },
+                updateFileTimestamp: {
+                  target: "updateFileTimestamp",
+                  actions: rememberRequestId
+                },
+                updateFileContent: {
+                  target: "updateFileContent",
+                  actions: rememberRequestId
+                },
+                writeFileRange: {
+                  target: "writeFileRange",
+                  actions: rememberRequestId
+                },
+                deleteFile: {
+                  target: "deleteFile",
+                  actions: rememberRequestId
+                },
+                moveFile: {
+                  target: "moveFile",
+                  actions: rememberRequestId
+                },
+                renameFile: {
+                  target: "renameFile",
+                  actions: rememberRequestId
+                },
+                createDirectory: {
+                  target: "createDirectory",
+                  actions: rememberRequestId
+                },
+                emptyDirectory: {
+                  target: "emptyDirectory",
+                  actions: rememberRequestId
+                },
+                deleteDirectoryIfEmpty: {
+                  target: "deleteDirectoryIfEmpty",
+                  actions: rememberRequestId
+                },
+                moveDirectory: {
+                  target: "moveDirectory",
+                  actions: rememberRequestId
+                },
+                renameDirectory: {
+                  target: "renameDirectory",
+                  actions: rememberRequestId
+                },
+                transaction: {
+                  target: "transaction",
+                  actions: rememberRequestId
+                },
               }
             },
             changeDirectory: {
@@ -589,7 +1368,13 @@ const storageHierarchy = createMachine({
                             newDirectoryPath
                           )
                           if (entity.isLeaf) rej(
-                            `Cannot change directory to a leaf.`
+                            new NotADirectoryError(
+                              `Cannot change directory to a leaf.`,
+                              {
+                                path: entity.path,
+                                operation: "changeDirectory"
+                              }
+                            )
                           );
                           res(
                             entity.path
@@ -610,18 +1395,23 @@ const storageHierarchy = createMachine({
                       ...ctx,
                       cwd: evt.data
                     })),
-                    sendParent({
+                    sendParent(ctx => ({
                       type: "changeDirectorySuccess",
-                      cwd: ctx=> ctx.cwd
-                    })
+                      requestId: ctx.requestId,
+                      cwd: ctx.cwd
+                    }))
                   ]
                 },
                 onError: {
                   target: "awaitingCommand",
                   actions: [
-                    sendParent((_, evt) => ({
+                    sendParent((ctx, evt) => ({
                       type: "changeDirectoryFailure",
-                      msg: evt.data
+                      requestId: ctx.requestId,
+                      ...failureDetails(
+                        evt.data,
+                        "changeDirectory"
+                      )
                     }))
                   ]
                 }
@@ -636,53 +1426,279 @@ const storageHierarchy = createMachine({
                   } = ctx
                   const {
                     name,
-                    parentPath,
-                    content
+                    parentPath
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath, parent
                         try {
-                          parent = await getEntity(
+                          const content = await readContent(
+                            evt.data.content
+                          )
+                          const parent = await getEntity(
                             db,
                             cwd,
                             parentPath
                           )
-                          newLockPath = await lockPath(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            parent.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
+                            [parent.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => addFileEntity(
+                              db,
+                              cwd,
+                              name,
+                              parent.path,
+                              content,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
+                          ))
+                        } catch (e) {
+                          rej(e)
+                        }
+                      })()
+                    }
+                  )
+                },
+                onDone: {
+                  target: "awaitingCommand",
+                  actions: [
+                    sendParent((ctx, evt) => ({
+                      type: "createFileSuccess",
+                      requestId: ctx.requestId,
+                      newFilePath: evt.data.leafPath
+                    }))
+                  ]
+                },
+                onError: {
+                  target: "awaitingCommand",
+                  actions: sendParent((ctx, evt) => ({
+                    type: "createFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "createFile"
+                    )
+                  }))
+                }
+              }
+            },
+            writeFile: {
+              invoke: {
+                src: (ctx, evt) => {
+                  const {
+                    db,
+                    cwd
+                  } = ctx
+                  const {
+                    name,
+                    parentPath
+                  } = evt.data
+                  return new Promise(
+                    (res, rej) => {
+                      (async () => {
+                        try {
+                          const content = await readContent(
+                            evt.data.content
                           )
-                          await rejectIfConflictingLockPathPrefixes(
+                          const parent = await getEntity(
                             db,
                             cwd,
-                            [newLockPath]
+                            parentPath
                           )
+                          res(await lockedTransaction(
+                            db,
+                            cwd,
+                            [parent.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => writeFileEntity(
+                              db,
+                              cwd,
+                              name,
+                              parent.path,
+                              content,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
+                          ))
                         } catch (e) {
                           rej(e)
                         }
+                      })()
+                    }
+                  )
+                },
+                onDone: {
+                  target: "awaitingCommand",
+                  actions: [
+                    sendParent((ctx, evt) => ({
+                      type: "writeFileSuccess",
+                      requestId: ctx.requestId,
+                      filePath: evt.data.leafPath
+                    }))
+                  ]
+                },
+                onError: {
+                  target: "awaitingCommand",
+                  actions: sendParent((ctx, evt) => ({
+                    type: "writeFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "writeFile"
+                    )
+                  }))
+                }
+              }
+            },
+            updateFileTimestamp: {
+              invoke: {
+                src: (ctx, evt) => {
+                  const {
+                    db,
+                    cwd
+                  } = ctx
+                  const {
+                    path
+                  } = evt.data
+                  return new Promise(
+                    (res, rej) => {
+                      (async () => {
                         try {
-                          const newFilePath = await addFileEntity(
+                          const e = await getEntity(
                             db,
                             cwd,
-                            name,
-                            parent.path,
-                            content
+                            path
                           )
-                          res(newFilePath)
+                          res(await lockedTransaction(
+                            db,
+                            cwd,
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => updateFileTimestamp(
+                              db,
+                              cwd,
+                              e.path,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
+                          ))
                         } catch (e) {
                           rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
+                        }
+                      })()
+                    }
+                  )
+                },
+                onDone: {
+                  target: "awaitingCommand",
+                  actions: [
+                    sendParent((ctx, evt) => ({
+                      type: "updateFileTimestampSuccess",
+                      requestId: ctx.requestId,
+                      filesTouched: evt.data
+                    }))
+                  ]
+                },
+                onError: {
+                  target: "awaitingCommand",
+                  actions: [
+                    sendParent((ctx, evt) => ({
+                      type: "updateFileTimestampFailure",
+                      requestId: ctx.requestId,
+                      ...failureDetails(
+                        evt.data,
+                        "updateFileTimestamp"
+                      )
+                    }))
+                  ]
+                }
+              }
+            },
+            updateFileContent: {
+              invoke: {
+                src: (ctx, evt) => {
+                  const {
+                    db,
+                    cwd
+                  } = ctx
+                  const {
+                    path
+                  } = evt.data
+                  return new Promise(
+                    (res, rej) => {
+                      (async () => {
+                        try {
+                          const content = await readContent(
+                            evt.data.content
+                          )
+                          const e = await getEntity(
+                            db,
+                            cwd,
+                            path
+                          )
+                          res(await lockedTransaction(
+                            db,
+                            cwd,
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => updateFile(
                               db,
-                              newLockPath
+                              cwd,
+                              e.path,
+                              content,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                          } catch (e) {
-                            
-                          }
+                          ))
+                        } catch (e) {
+                          rej(e)
                         }
                       })()
                     }
@@ -690,24 +1706,26 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: [
-                    raise("pruneExpiredLocks"),
-                    sendParent((_, evt) => ({
-                      type: "createFileSuccess",
-                      newFilePath: evt.data.leafPath
-                    }))
-                  ]
+                  actions: sendParent((ctx, evt) => ({
+                    type: "updateFileSuccess",
+                    requestId: ctx.requestId,
+                    filesTouched: evt.data
+                  }))
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "createFileFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "updateFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "updateFileContent"
+                    )
                   }))
                 }
               }
             },
-            readFile: {
+            writeFileRange: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -715,51 +1733,49 @@ const storageHierarchy = createMachine({
                     cwd
                   } = ctx
                   const {
-                    path
+                    path,
+                    offset
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
-                          const entity = await getEntity(
-                            db,
-                            cwd,
-                            path
+                          const content = await readContent(
+                            evt.data.content
                           )
-                          newLockPath = await lockPath(
+                          const e = await getEntity(
                             db,
                             cwd,
-                            entity.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
+                            path
                           )
-                          await rejectIfConflictingLockPathPrefixes(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            [newLockPath]
-                          )
-                          if (entity.isLeaf) {
-                            const fullFile = await joinContentToLeaf(
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => writeFileRange(
                               db,
-                              entity
-                            )
-                            res(fullFile)
-                          } else {
-                            rej(
-                              `Cannot read a directory. Path: ${
-                                entity.path
-                              }`
+                              cwd,
+                              e.path,
+                              offset,
+                              content,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                          }
+                          ))
                         } catch (e) {
                           rej(e)
-                        } finally {
-                          try {
-                            if (newLockPath) await removeLock(
-                              db,
-                              newLockPath
-                            );
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -767,21 +1783,26 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "readFileSuccess",
-                    file: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "writeFileRangeSuccess",
+                    requestId: ctx.requestId,
+                    ...evt.data
                   }))
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "readFileFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "writeFileRangeFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "writeFileRange"
+                    )
                   }))
                 }
               }
             },
-            updateFileTimestamp: {
+            deleteFile: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -794,38 +1815,38 @@ const storageHierarchy = createMachine({
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
                           const e = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
-                            db,
-                            cwd,
-                            e.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
-                          )
-                          await rejectIfConflictingLockPathPrefixes(
-                            db,
-                            cwd,
-                            [newLockPath]
-                          )
-                          res(await updateFileTimestamp(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            e.path
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => deleteLeafEntity(
+                              db,
+                              cwd,
+                              e.path,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
                           ))
                         } catch (e) {
                           rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
-                              db,
-                              newLockPath
-                            )
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -833,25 +1854,25 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: [
-                    sendParent((_, evt) => ({
-                      type: "updateFileTimestampSuccess",
-                      filesTouched: evt.data
-                    }))
-                  ]
+                  actions: sendParent((ctx, evt) => ({
+                    type: "deleteFileSuccess",
+                    requestId: ctx.requestId
+                  })),
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: [
-                    sendParent((_, evt) => ({
-                      type: "updateFileTimestampFailure",
-                      msg: evt.data
-                    }))
-                  ]
+                  actions: sendParent((ctx, evt) => ({
+                    type: "deleteFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "deleteFile"
+                    )
+                  }))
                 }
               }
             },
-            updateFileContent: {
+            moveFile: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -860,51 +1881,54 @@ const storageHierarchy = createMachine({
                   } = ctx
                   const {
                     path,
-                    content
+                    newParentPath
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
-                          const e = await getEntity(
+                          const leaf = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
-                            db,
-                            cwd,
-                            e.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
-                          )
-                          await rejectIfConflictingLockPathPrefixes(
+                          const newParent = await getEntity(
                             db,
                             cwd,
-                            [newLockPath]
+                            newParentPath
                           )
-                          const u = await updateFile(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            e.path,
-                            content
-                          )
-                          console.log(
-                            `u: ${
-                              JSON.stringify(u)
-                            }`
-                          )
-                          res(u)
-                        } catch (e) {
-                          console.log(e)
-                          rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
+                            leaf.parentPath === newParent.path ? [
+                              leaf.parentPath
+                            ] : [
+                              leaf.parentPath,
+                              newParent.path
+                            ],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => reparentLeaf(
                               db,
-                              newLockPath
+                              cwd,
+                              leaf.path,
+                              newParent.path,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                          } catch (e) { }
+                          ))
+                        } catch (e) {
+                          rej(e)
                         }
                       })()
                     }
@@ -912,21 +1936,26 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "updateFileSuccess",
-                    filesTouched: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "moveFileSuccess",
+                    requestId: ctx.requestId,
+                    newFilePath: evt.data
                   }))
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "updateFileFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "moveFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "moveFile"
+                    )
                   }))
                 }
               }
             },
-            deleteFile: {
+            renameFile: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -934,43 +1963,45 @@ const storageHierarchy = createMachine({
                     cwd
                   } = ctx
                   const {
-                    path
+                    path,
+                    newName
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
                           const e = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
-                            db,
-                            cwd,
-                            e.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
-                          )
-                          await rejectIfConflictingLockPathPrefixes(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            [newLockPath]
-                          )
-                          res(await deleteLeafEntity(
-                            db,
-                            cwd,
-                            e.path
+                            [e.isLeaf ? e.parentPath : e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => renameFile(
+                              db,
+                              cwd,
+                              e.path,
+                              newName,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
                           ))
                         } catch (e) {
                           rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
-                              db,
-                              newLockPath
-                            )
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -978,15 +2009,21 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "deleteFileSuccess"
-                  })),
+                  actions: sendParent((ctx, evt) => ({
+                    type: "renameFileSuccess",
+                    requestId: ctx.requestId,
+                    newFilePath: evt.data
+                  }))
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "deleteFileFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "renameFileFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "renameFile"
+                    )
                   }))
                 }
               }
@@ -1005,45 +2042,39 @@ const storageHierarchy = createMachine({
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
                           const e = await getEntity(
                             db,
                             cwd,
                             parentPath
                           )
-                          console.log(`e ${
-                            JSON.stringify(
-                              e
-                            )
-                          }`)
-                          newLockPath = await lockPath(
-                            db,
-                            cwd,
-                            e.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
-                          )
-                          await rejectIfConflictingLockPathPrefixes(
-                            db,
-                            cwd,
-                            [newLockPath]
-                          )
-                          res(await addDirectoryEntity(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            name,
-                            e.path
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => addDirectoryEntity(
+                              db,
+                              cwd,
+                              name,
+                              e.path,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
                           ))
                         } catch (e) {
-                          console.log(e)
                           rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
-                              db,
-                              newLockPath
-                            )
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -1052,94 +2083,155 @@ const storageHierarchy = createMachine({
                 onDone: {
                   target: "awaitingCommand",
                   actions: [
-                    sendParent((_, evt) => ({
-                      type: "createDirectorySuccess"
+                    sendParent((ctx, evt) => ({
+                      type: "createDirectorySuccess",
+                      requestId: ctx.requestId
                     }))
                   ],
                 },
                 onError: {
                   target: "awaitingCommand",
                   actions: [
-                    sendParent((_, evt) => ({
+                    sendParent((ctx, evt) => ({
                       type: "createDirectoryFailure",
-                      msg: evt.data
+                      requestId: ctx.requestId,
+                      ...failureDetails(
+                        evt.data,
+                        "createDirectory"
+                      )
                     }))
                   ]
                 }
               }
             },
-            getDirectoryRecord: {
+            emptyDirectory: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
                     db,
                     cwd
                   } = ctx
-                  if(
-                    typeof evt.data === "undefined"
-                  ){
-                    return new Promise(
-                      r => r(
-                        {
-                          childKeys: [],
-                          cwd: cwd
-                        }
-                      )
-                    )
-                  }
                   const {
                     path
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
                           const entity = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            entity.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
-                          )
-                          await rejectIfConflictingLockPathPrefixes(
+                            [entity.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => {
+                              if (entity.isLeaf) throw new NotADirectoryError(
+                                `Cannot call empty directory for leaf entity: ${
+                                  entity.path
+                                }`,
+                                {
+                                  path: entity.path,
+                                  operation: "emptyDirectory"
+                                }
+                              )
+                              return emptyDirectory(
+                                db,
+                                cwd,
+                                entity.path,
+                                tx
+                              ).then(
+                                () => { }
+                              )
+                            },
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
+                          ))
+                        } catch (e) {
+                          rej(e)
+                        }
+                      })()
+                    }
+                  )
+                },
+                onDone: {
+                  target: "awaitingCommand",
+                  actions: sendParent((ctx, evt) => ({
+                    type: "emptyDirectorySuccess",
+                    requestId: ctx.requestId
+                  })),
+                },
+                onError: {
+                  target: "awaitingCommand",
+                  actions: sendParent((ctx, evt) => ({
+                    type: "emptyDirectoryFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "emptyDirectory"
+                    )
+                  }))
+                }
+              }
+            },
+            deleteDirectoryIfEmpty: {
+              invoke: {
+                src: (ctx, evt) => {
+                  const {
+                    db,
+                    cwd
+                  } = ctx
+                  const {
+                    path
+                  } = evt.data
+                  return new Promise(
+                    (res, rej) => {
+                      (async () => {
+                        try {
+                          const e = await getEntity(
                             db,
                             cwd,
-                            [newLockPath]
+                            path
                           )
-                          if (entity.isLeaf) {
-                            rej(
-                              `Cannot get directory record for leaf entity: ${
-                                entity.path
-                              }`
-                            )
-                          } else {
-                            const childKeys = await getImmediateChildKeysOfDirectory(
+                          res(await lockedTransaction(
+                            db,
+                            cwd,
+                            [e.path],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => deleteDirectoryIfEmpty(
                               db,
                               cwd,
-                              entity.path
-                            ) // throws
-                            res(
-                              {
-                                entity,
-                                childKeys
-                              }
+                              e.path,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                          }
+                          ))
                         } catch (e) {
-                          console.log(e.toString())
                           rej(e)
-                        } finally {
-                          try {
-                            if (newLockPath) await removeLock(
-                              db,
-                              newLockPath
-                            );
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -1147,21 +2239,25 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "getDirectoryRecordSuccess",
-                    data: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "deleteDirectoryIfEmptySuccess",
+                    requestId: ctx.requestId
                   })),
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "getDirectoryRecordFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "deleteDirectoryIfEmptyFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "deleteDirectoryIfEmpty"
+                    )
                   }))
                 }
               }
             },
-            emptyDirectory: {
+            moveDirectory: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -1169,52 +2265,57 @@ const storageHierarchy = createMachine({
                     cwd
                   } = ctx
                   const {
-                    path
+                    path,
+                    newParentPath,
+                    newName
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
-                          const entity = await getEntity(
+                          const directory = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
+                          const newParent = await getEntity(
                             db,
                             cwd,
-                            entity.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
+                            newParentPath
                           )
-                          await rejectIfConflictingLockPathPrefixes(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            [newLockPath]
-                          )
-                          if (entity.isLeaf) {
-                            rej(
-                              `Cannot call empty directory for leaf entity: ${
-                                entity.path
-                              }`
-                            )
-                          } else {
-                            await emptyDirectory(
+                            directory.parentPath === newParent.path ? [
+                              directory.parentPath
+                            ] : [
+                              directory.parentPath,
+                              newParent.path
+                            ],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => transplantAncestors(
                               db,
                               cwd,
-                              entity.path
+                              directory.path,
+                              newParent.path,
+                              newName,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                            res()
-                          }
+                          ))
                         } catch (e) {
                           rej(e)
-                        } finally {
-                          try {
-                            if (newLockPath) await removeLock(
-                              db,
-                              newLockPath
-                            );
-                          } catch (e) { }
                         }
                       })()
                     }
@@ -1222,20 +2323,37 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "emptyDirectorySuccess"
-                  })),
+                  actions: [
+                    assign((ctx, evt) => ({
+                      ...ctx,
+                      cwd: ctx.cwd.startsWith(
+                        evt.data.oldPath
+                      ) ? evt.data.newPath + ctx.cwd.slice(
+                        evt.data.oldPath.length
+                      ) : ctx.cwd
+                    })),
+                    sendParent((ctx, evt) => ({
+                      type: "moveDirectorySuccess",
+                      requestId: ctx.requestId,
+                      newDirectoryPath: evt.data.newPath,
+                      entitiesMoved: evt.data.entitiesMoved
+                    }))
+                  ]
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "emptyDirectoryFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "moveDirectoryFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "moveDirectory"
+                    )
                   }))
                 }
               }
             },
-            deleteDirectoryIfEmpty: {
+            renameDirectory: {
               invoke: {
                 src: (ctx, evt) => {
                   const {
@@ -1243,44 +2361,62 @@ const storageHierarchy = createMachine({
                     cwd
                   } = ctx
                   const {
-                    path
+                    path,
+                    newName
                   } = evt.data
                   return new Promise(
                     (res, rej) => {
                       (async () => {
-                        let newLockPath
                         try {
-                          const e = await getEntity(
+                          const directory = await getEntity(
                             db,
                             cwd,
                             path
                           )
-                          newLockPath = await lockPath(
-                            db,
-                            cwd,
-                            e.path,
-                            typeof evt.durationMs === "number" && evt.durationMs > 0 ? evt.durationMs : 5000
+                          if (directory.isLeaf) throw new NotADirectoryError(
+                            `Entity with path ${
+                              directory.path
+                            } is not a directory.`,
+                            {
+                              path: directory.path,
+                              operation: "renameDirectory"
+                            }
                           )
-                          await rejectIfConflictingLockPathPrefixes(
-                            db,
-                            cwd,
-                            [newLockPath]
+                          if (directory.path === "/") throw new PermissionDeniedError(
+                            "Cannot rename the root directory.",
+                            {
+                              path: "/",
+                              operation: "renameDirectory"
+                            }
                           )
-                          res(await deleteDirectoryIfEmpty(
+                          res(await lockedTransaction(
                             db,
                             cwd,
-                            e.path
-                          ))
-                        } catch (e) {
-                          rej(e)
-                        } finally {
-                          try {
-                            await removeLock(
+                            [directory.parentPath],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            tx => transplantAncestors(
                               db,
                               cwd,
-                              newLockPath
+                              directory.path,
+                              directory.parentPath,
+                              newName,
+                              tx
+                            ),
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
                             )
-                          } catch (e) { }
+                          ))
+                        } catch (e) {
+                          rej(e)
                         }
                       })()
                     }
@@ -1288,116 +2424,171 @@ const storageHierarchy = createMachine({
                 },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "deleteDirectoryIfEmptySuccess"
-                  })),
+                  actions: [
+                    assign((ctx, evt) => ({
+                      ...ctx,
+                      cwd: ctx.cwd.startsWith(
+                        evt.data.oldPath
+                      ) ? evt.data.newPath + ctx.cwd.slice(
+                        evt.data.oldPath.length
+                      ) : ctx.cwd
+                    })),
+                    sendParent((ctx, evt) => ({
+                      type: "renameDirectorySuccess",
+                      requestId: ctx.requestId,
+                      newDirectoryPath: evt.data.newPath,
+                      entitiesMoved: evt.data.entitiesMoved
+                    }))
+                  ]
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "deleteDirectoryIfEmptyFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "renameDirectoryFailure",
+                    requestId: ctx.requestId,
+                    ...failureDetails(
+                      evt.data,
+                      "renameDirectory"
+                    )
                   }))
                 }
               }
             },
-            ripFilesystemToJSON: {
+            transaction: {
               invoke: {
-                src: (ctx, evt) => Promise.all(
-                  [
-                    new Promise(
-                      (res, rej) => {
-                        const {
-                          db
-                        } = ctx
-                        const entityTable = db
-                          .transaction(
-                            "entity",
-                            "readonly"
-                          ).objectStore(
-                            "entity"
+                src: (ctx, evt) => {
+                  const {
+                    db,
+                    cwd
+                  } = ctx
+                  const {
+                    steps
+                  } = evt.data
+                  return new Promise(
+                    (res, rej) => {
+                      (async () => {
+                        try {
+                          if (!Array.isArray(steps) || steps.length === 0) throw new InvalidArgumentError(
+                            "A transaction requires a non-empty array of steps."
                           )
-                        const rq = entityTable
-                          .getAll()
-                        rq.onsuccess = () => {
-                          res(rq.result)
-                        }
-                        rq.onerror = () => {
-                          rej(
-                            "Could not getAll entity records"
+                          steps.forEach(
+                            (step, i) => {
+                              if (!step || !transactionSteps.hasOwnProperty(step.type) || typeof step.data !== "object") throw new InvalidArgumentError(
+                                `Step ${
+                                  i
+                                } is not a supported transaction step.`
+                              )
+                            }
                           )
-                        }
-                      }
-                    ),
-                    new Promise(
-                      (res, rej) => {
-                        const {
-                          db
-                        } = ctx
-                        const entityTable = db
-                          .transaction(
-                            "content",
-                            "readonly"
-                          ).objectStore(
-                            "content"
+                          // Blobs are read before the transaction opens
+                          const prepared = await Promise.all(
+                            steps.map(
+                              step => "content" in step.data ? readContent(
+                                step.data.content
+                              ).then(
+                                content => ({
+                                  ...step,
+                                  data: {
+                                    ...step.data,
+                                    content
+                                  }
+                                })
+                              ) : step
+                            )
                           )
-                        const rq = entityTable
-                          .getAll()
-                        rq.onsuccess = () => {
-                          res(rq.result)
-                        }
-                        rq.onerror = () => {
-                          rej(
-                            "Could not getAll content records"
+                          // steps may create the very directories later steps
+                          // use, so lock the nearest ancestor that exists now
+                          let lockTarget = commonAncestor(
+                            steps.flatMap(
+                              step => transactionSteps[step.type].paths(
+                                step.data
+                              )
+                            ).map(
+                              p => normalize(
+                                p,
+                                absPathToPieces(
+                                  cwd
+                                )
+                              )
+                            )
                           )
-                        }
-                      }
-                    ),
-                    new Promise(
-                      (res, rej) => {
-                        const {
-                          db
-                        } = ctx
-                        const entityTable = db
-                          .transaction(
-                            "lock",
-                            "readonly"
-                          ).objectStore(
-                            "lock"
+                          while (!(await entityExists(
+                            db,
+                            cwd,
+                            lockTarget
+                          ))) lockTarget = parentDirectory(
+                            lockTarget
                           )
-                        const rq = entityTable
-                          .getAll()
-                        rq.onsuccess = () => {
-                          res(rq.result)
-                        }
-                        rq.onerror = () => {
+                          res(await lockedTransaction(
+                            db,
+                            cwd,
+                            [lockTarget],
+                            lockDurationFor(
+                              ctx,
+                              evt
+                            ),
+                            "readwrite",
+                            async tx => {
+                              const results = []
+                              for (const [i, step] of prepared.entries()) {
+                                try {
+                                  results.push({
+                                    type: step.type,
+                                    result: await transactionSteps[step.type].run(
+                                      db,
+                                      cwd,
+                                      step.data,
+                                      tx
+                                    )
+                                  })
+                                } catch (e) {
+                                  throw {
+                                    failedStep: i,
+                                    error: e
+                                  }
+                                }
+                              }
+                              return results
+                            },
+                            lockPolicyFor(
+                              ctx,
+                              evt
+                            ),
+                            lockOwnerFor(
+                              ctx,
+                              evt
+                            )
+                          ))
+                        } catch (e) {
                           rej(
-                            "Could not getAll lock records"
+                            e && typeof e === "object" && "failedStep" in e ? e : {
+                              failedStep: null,
+                              error: e
+                            }
                           )
                         }
-                      }
-                    )
-                  ]
-                ),
+                      })()
+                    }
+                  )
+                },
                 onDone: {
                   target: "awaitingCommand",
-                  actions: [
-                    log((_, evt) => evt),
-                    sendParent((_, evt) => ({
-                      type: "ripFilesystemToJSONSuccess",
-                      backup: JSON.stringify({
-                        entity: evt.data[0],
-                        content: evt.data[1],
-                        lock: evt.data[2]
-                      })
-                    }))
-                  ],
+                  actions: sendParent((ctx, evt) => ({
+                    type: "transactionSuccess",
+                    requestId: ctx.requestId,
+                    results: evt.data
+                  }))
                 },
                 onError: {
                   target: "awaitingCommand",
-                  actions: sendParent((_, evt) => ({
-                    type: "ripFilesystemToJSONFailure",
-                    msg: evt.data
+                  actions: sendParent((ctx, evt) => ({
+                    type: "transactionFailure",
+                    requestId: ctx.requestId,
+                    failedStep: evt.data.failedStep,
+                    ...failureDetails(
+                      evt.data.error,
+                      "transaction"
+                    )
                   }))
                 }
               }
@@ -1408,6 +2599,7 @@ const storageHierarchy = createMachine({
                 raise(
                   "stopLockPruningService"
                 ),
+                ...stopReaders,
                 assign(ctx => {
                   ctx.db.close()
                   return {
@@ -1429,6 +2621,18 @@ const storageHierarchy = createMachine({
       }
     }
   }
+}, {
+  delays: {
+    lockPruneInterval: ctx => ctx.lockPruneIntervalMs
+  }
 })
 
+// every command the actor accepts, for layers that route commands to it
+const commandTypes = [
+  ...uninitializedCommands,
+  ...operatorCommands,
+  ...Object.keys(readCommands)
+]
+
+export { commandTypes }
 export default storageHierarchy
\ No newline at end of file
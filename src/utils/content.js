@@ -0,0 +1,183 @@
+import { InvalidArgumentError } from "./errors.js"
+
+/*
+
+File content. a file holds text or bytes; its entity says which (encoding) and how many bytes (size), and its content is stored as bytes in fixed-size chunks.
+
+* strings are encoded as UTF-8 and the file's encoding is "utf8". ArrayBuffers, typed arrays and DataViews are copied, and the encoding is "binary". null or undefined is an empty text file.
+* a Blob can only be read asynchronously, which would let a transaction autocommit under it, so commands read it into bytes (readContent) before they open one.
+* content records are { leafPath, chunkIndex, content }, keyed by [leafPath, chunkIndex]. every chunk but the last holds chunkSize bytes, an empty file has none, and a file's chunks are numbered from 0 without gaps. changing chunkSize needs a migration.
+* readFile returns text for a "utf8" file and a Uint8Array for a "binary" one, unless asked for the other: bytes are decoded as UTF-8, text is encoded as UTF-8.
+* ranges are in bytes, whatever the encoding, and only the chunks a range overlaps are read or written. a range read of a text file decodes just those bytes, so a character split at either end comes back as U+FFFD; read the range as "binary" to get it exactly.
+* a range write puts its bytes at the offset, padding the file with zero bytes if the offset is past its end. the file keeps its encoding.
+* JSON cannot hold bytes, so a backup carries each chunk base64-encoded, with encoding "base64"; restoring it turns it back into bytes. backups from before chunking hold one record per file, which restoring splits into chunks.
+
+*/
+
+const chunkSize = 64 * 1024
+
+const encodings = ["utf8", "binary"]
+
+const isBlob = value => typeof Blob !== "undefined" && value instanceof Blob
+
+const isBytes = value => value instanceof ArrayBuffer || ArrayBuffer.isView(value)
+
+const toBytes = value => value instanceof ArrayBuffer
+  ? new Uint8Array(value.slice(0))
+  : new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength))
+
+const isOffset = value => Number.isSafeInteger(value) && value >= 0
+
+function sizeOf(content) {
+  if (typeof content === "string") return new TextEncoder().encode(content).length
+  return isBytes(content) ? content.byteLength : 0
+}
+
+function readContent(content) {
+  return isBlob(content)
+    ? content.arrayBuffer().then(buffer => new Uint8Array(buffer))
+    : Promise.resolve(content)
+}
+
+// the bytes of content, and the encoding and size its file gets
+function encodeContent(path, content, operation) {
+  if (content == null) content = ""
+  if (typeof content === "string") {
+    const bytes = new TextEncoder().encode(content)
+    return { encoding: "utf8", size: bytes.length, bytes }
+  }
+  if (isBytes(content)) {
+    const bytes = toBytes(content)
+    return { encoding: "binary", size: bytes.length, bytes }
+  }
+  throw new InvalidArgumentError(
+    isBlob(content)
+      ? "Blob content must be read with readContent before it is stored."
+      : "File content must be a string, an ArrayBuffer, a typed array, a DataView or a Blob.",
+    { path, operation }
+  )
+}
+
+function checkEncoding(encoding, path, operation) {
+  if (encoding != null && !encodings.includes(encoding)) throw new InvalidArgumentError(
+    `Unsupported encoding: ${encoding}. Content can be read as ${encodings.join(" or ")}.`,
+    { path, operation }
+  )
+}
+
+// bytes as a file with the given encoding holds them
+function decodeContent(bytes, encoding) {
+  return encoding === "binary" ? bytes : new TextDecoder("utf-8", { ignoreBOM: true }).decode(bytes)
+}
+
+// the byte range { offset, length } a command asked for; all of it by default
+function byteRange({ offset, length } = {}, path, operation) {
+  if (!isOffset(offset == null ? 0 : offset) || !(length == null || isOffset(length))) throw new InvalidArgumentError(
+    "A byte range needs an offset and a length that are whole numbers of bytes, 0 or more.",
+    { path, operation }
+  )
+  return { offset: offset == null ? 0 : offset, length: length == null ? Infinity : length }
+}
+
+// the indexes of the first and last chunk a byte range overlaps; last is
+// below first for an empty range
+const chunkSpan = ({ offset, length }) => ({
+  first: Math.floor(offset / chunkSize),
+  last: length === Infinity ? Infinity : length === 0 ? Math.floor(offset / chunkSize) - 1 : Math.floor((offset + length - 1) / chunkSize)
+})
+
+function toChunks(leafPath, bytes) {
+  const chunks = []
+  for (let i = 0; i * chunkSize < bytes.length; i++) {
+    chunks.push({ leafPath, chunkIndex: i, content: bytes.slice(i * chunkSize, (i + 1) * chunkSize) })
+  }
+  return chunks
+}
+
+// the bytes of a byte range, from the chunks that overlap it
+function bytesFromChunks(chunks, { offset, length }) {
+  const end = offset + length
+  const pieces = chunks.map(({ chunkIndex, content }) => {
+    const start = chunkIndex * chunkSize
+    return content.subarray(Math.max(0, offset - start), Math.max(0, Math.min(content.length, end - start)))
+  })
+  const bytes = new Uint8Array(pieces.reduce((total, piece) => total + piece.length, 0))
+  pieces.reduce((at, piece) => {
+    bytes.set(piece, at)
+    return at + piece.length
+  }, 0)
+  return bytes
+}
+
+// the byte range whose chunks change when bytes are written at offset into a
+// file of size bytes: from the write, or the end of the file if the write
+// starts past it, to the end of the write
+const patchedRange = (size, offset, bytes) => ({
+  offset: Math.min(offset, size),
+  length: offset + bytes.length - Math.min(offset, size)
+})
+
+// the chunks in patchedRange after the write, given the ones there were
+function patchChunks(leafPath, existing, size, offset, bytes) {
+  const newSize = Math.max(size, offset + bytes.length)
+  const { first, last } = chunkSpan(patchedRange(size, offset, bytes))
+  const current = new Map(existing.map(chunk => [chunk.chunkIndex, chunk.content]))
+  const chunks = []
+  for (let i = first; i <= last; i++) {
+    const start = i * chunkSize
+    const content = new Uint8Array(Math.min(newSize, start + chunkSize) - start)
+    if (current.has(i)) content.set(current.get(i).subarray(0, content.length))
+    const from = Math.max(offset, start)
+    const to = Math.min(offset + bytes.length, start + content.length)
+    if (from < to) content.set(bytes.subarray(from - offset, to - offset), from - start)
+    chunks.push({ leafPath, chunkIndex: i, content })
+  }
+  return { chunks, size: newSize }
+}
+
+function toBase64(bytes) {
+  let binary = ""
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0))
+
+const contentToJSON = chunk => ({ ...chunk, content: toBase64(chunk.content), encoding: "base64" })
+
+// the chunks a backup's content records hold, and for records from before
+// chunking, the encoding and size their files get
+function chunksFromJSON(records) {
+  const chunks = []
+  const files = new Map()
+  records.forEach(({ encoding, ...record }) => {
+    const content = encoding === "base64" ? fromBase64(record.content) : record.content
+    if (typeof record.chunkIndex === "number") {
+      chunks.push({ ...record, content })
+      return
+    }
+    const encoded = encodeContent(record.leafPath, content, "restoreFilesystemFromJSON")
+    files.set(record.leafPath, { encoding: encoded.encoding, size: encoded.size })
+    chunks.push(...toChunks(record.leafPath, encoded.bytes))
+  })
+  return { chunks, files }
+}
+
+export {
+  chunkSize,
+  sizeOf,
+  readContent,
+  encodeContent,
+  checkEncoding,
+  decodeContent,
+  byteRange,
+  chunkSpan,
+  patchedRange,
+  toChunks,
+  bytesFromChunks,
+  patchChunks,
+  contentToJSON,
+  chunksFromJSON
+}
@@ -0,0 +1,128 @@
+/*
+
+Filesystem errors. every failure carries a POSIX-style code, the offending path (when there is one) and the operation that failed, so callers can branch on err.code instead of matching message text.
+
+* ENOENT no such file or directory
+* EEXIST the path is already taken
+* ENOTDIR a directory was required
+* EISDIR a file was required
+* ENOTEMPTY the directory has children
+* EBUSY the path is locked, or in use as a working directory
+* EINVAL a malformed path, name or argument
+* EACCES the operation is not permitted, e.g. on the root directory or on a lock held by another owner
+* EIO the underlying store failed
+
+*/
+class FilesystemError extends Error {
+  constructor(code, message, { path, operation } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = code
+    this.path = path
+    this.operation = operation
+  }
+
+  toString() {
+    return `${this.code}: ${this.message}`
+  }
+}
+
+class NotFoundError extends FilesystemError {
+  constructor(message, details) { super("ENOENT", message, details) }
+}
+
+class AlreadyExistsError extends FilesystemError {
+  constructor(message, details) { super("EEXIST", message, details) }
+}
+
+class NotADirectoryError extends FilesystemError {
+  constructor(message, details) { super("ENOTDIR", message, details) }
+}
+
+class IsADirectoryError extends FilesystemError {
+  constructor(message, details) { super("EISDIR", message, details) }
+}
+
+class DirectoryNotEmptyError extends FilesystemError {
+  constructor(message, details) { super("ENOTEMPTY", message, details) }
+}
+
+class BusyError extends FilesystemError {
+  constructor(message, details) { super("EBUSY", message, details) }
+}
+
+class InvalidArgumentError extends FilesystemError {
+  constructor(message, details) { super("EINVAL", message, details) }
+}
+
+class PermissionDeniedError extends FilesystemError {
+  constructor(message, details) { super("EACCES", message, details) }
+}
+
+class IOError extends FilesystemError {
+  constructor(message, details) { super("EIO", message, details) }
+}
+
+const errorClassesByCode = Object.fromEntries(
+  [
+    NotFoundError,
+    AlreadyExistsError,
+    NotADirectoryError,
+    IsADirectoryError,
+    DirectoryNotEmptyError,
+    BusyError,
+    InvalidArgumentError,
+    PermissionDeniedError,
+    IOError
+  ].map(C => [new C("").code, C])
+)
+
+// coerce whatever a failure produced (a FilesystemError, a DOMException from
+// IndexedDB, a string) into a FilesystemError, filling in missing details
+function toFilesystemError(e, { path, operation } = {}) {
+  if (e instanceof FilesystemError) {
+    if (e.path === undefined) e.path = path;
+    if (e.operation === undefined) e.operation = operation;
+    return e
+  }
+  if (e && e.name === "ConstraintError") return new AlreadyExistsError(e.message || "Key already exists.", { path, operation });
+  const message = e && typeof e === "object" && "message" in e ? e.message : String(e)
+  return new IOError(message, { path, operation })
+}
+
+// the fields a *Failure event carries; msg stays a readable string and
+// operation names the command rather than the helper that failed inside it
+function failureDetails(e, operation) {
+  const error = toFilesystemError(e)
+  return {
+    msg: error.message,
+    code: error.code,
+    path: error.path,
+    operation
+  }
+}
+
+// rebuild an error from a *Failure event on the receiving side. a failed
+// transaction also says which of its steps failed
+function errorFromFailure({ code, msg, path, operation, failedStep }) {
+  const C = errorClassesByCode[code] || IOError
+  const error = new C(msg, { path, operation })
+  if (failedStep !== undefined) error.failedStep = failedStep
+  return error
+}
+
+export {
+  FilesystemError,
+  NotFoundError,
+  AlreadyExistsError,
+  NotADirectoryError,
+  IsADirectoryError,
+  DirectoryNotEmptyError,
+  BusyError,
+  InvalidArgumentError,
+  PermissionDeniedError,
+  IOError,
+  toFilesystemError,
+  failureDetails,
+  errorFromFailure
+}
@@ -1,8 +1,12 @@
 
 
+import { InvalidArgumentError } from "./errors.js"
+
 function normalize(path, cwdArr){
-  if(!/^[a-zA-Z0-9_/.-]*$/.test(path)) throw "Invalid character(s) in path."
-  if(path === "/..") throw "Invalid path";
+  const original = path
+  const invalid = message => new InvalidArgumentError(message, { path: original, operation: "normalize" })
+  if(!/^[a-zA-Z0-9_/.-]*$/.test(path)) throw invalid("Invalid character(s) in path.")
+  if(path === "/..") throw invalid("Invalid path");
   if (path === "/.") path = "/";
   if (/\/\.\.$/.test(path)) path = `${path}/`; // does the path string end in /..    if so, add a / on the end
   console.log(path)
@@ -47,7 +51,7 @@ function normalize(path, cwdArr){
         return [...acc, curr];
       }, [])
       .join("/")}`
-    if(res === "") throw "Invalid path";
+    if(res === "") throw invalid("Invalid path");
     return res
   } else {
     const joinableCandidates = [...cwdArr, ...path];
@@ -58,7 +62,7 @@ function normalize(path, cwdArr){
         return [...acc, curr];
       }, [])
       .join("/")}`
-    if(res === "") throw "Invalid path";
+    if(res === "") throw invalid("Invalid path");
     return res
   }
 }
@@ -74,7 +78,23 @@ function absPathToPieces(path) {
     .filter((v, i, a) => !(i > 0 && i < a.length - 1 && v === ""))
 }
 
-export { normalize, absPathToPieces }
+function parentDirectory(path) {
+  if (path === "/") return "/"
+  const trimmed = path.endsWith("/") ? path.slice(0, -1) : path
+  return trimmed.slice(0, trimmed.lastIndexOf("/") + 1)
+}
+
+function commonAncestor(paths) {
+  return paths
+    .map(p => p.endsWith("/") ? p : parentDirectory(p))
+    .reduce((acc, curr) => {
+      let i = 0
+      while (i < acc.length && i < curr.length && acc[i] === curr[i]) i++
+      return acc.slice(0, acc.lastIndexOf("/", i - 1) + 1)
+    })
+}
+
+export { normalize, absPathToPieces, parentDirectory, commonAncestor }
 
 
 
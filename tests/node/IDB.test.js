@@ -0,0 +1,156 @@
+import { describe, test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import {
+  withTransaction,
+  entityExists,
+  joinContentToLeaf,
+  getEntity,
+  getEntitiesByPrefix,
+  getImmediateChildKeysOfDirectory,
+  statEntity,
+  addFileEntity,
+  addDirectoryEntity,
+  deleteLeafEntity,
+  deleteDirectoryIfEmpty,
+  emptyDirectory,
+  updateFile,
+  writeFileRange,
+  renameFile,
+  reparentLeaf,
+  transplantAncestors
+} from "../../src/promises/IDB.js"
+import { seedRoot } from "../../src/promises/schema.js"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+const rejectsWith = (promise, code) => assert.rejects(
+  promise,
+  e => e.code === code
+)
+
+const read = (db, path) => getEntity(db, "/", path).then(
+  leaf => joinContentToLeaf(db, leaf)
+)
+
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`IDB.js helpers on ${label}`, () => {
+    let db
+
+    // every test starts from a filesystem holding /docs/a.txt
+    beforeEach(async () => {
+      db = await createBackend().open("idb_test", 1)
+      await seedRoot(db)
+      await addDirectoryEntity(db, "/", "docs", "/")
+      await addFileEntity(db, "/", "a.txt", "/docs/", "first")
+    })
+
+    afterEach(() => {
+      db.close()
+    })
+
+    test("adds and reads entities and content", async () => {
+      assert.equal(await entityExists(db, "/", "/docs/a.txt"), true)
+      assert.equal(await entityExists(db, "/docs/", "missing.txt"), false)
+      assert.equal((await read(db, "/docs/a.txt")).content, "first")
+      assert.deepEqual(await getImmediateChildKeysOfDirectory(db, "/", "/docs/"), ["/docs/a.txt"])
+      assert.deepEqual((await getEntitiesByPrefix(db, "/", "/docs/")).map(e => e.path), ["/docs/", "/docs/a.txt"])
+    })
+
+    test("reports failures with POSIX codes", async () => {
+      await rejectsWith(getEntity(db, "/", "/missing.txt"), "ENOENT")
+      await rejectsWith(addFileEntity(db, "/", "a.txt", "/docs/", "again"), "EEXIST")
+      await rejectsWith(addDirectoryEntity(db, "/", "docs", "/"), "EEXIST")
+      await rejectsWith(addFileEntity(db, "/", "b.txt", "/docs/a.txt", ""), "ENOTDIR")
+      await rejectsWith(addFileEntity(db, "/", "bad name", "/docs/", ""), "EINVAL")
+      await rejectsWith(deleteLeafEntity(db, "/", "/docs/"), "EISDIR")
+      await rejectsWith(deleteDirectoryIfEmpty(db, "/", "/docs/"), "ENOTEMPTY")
+      await rejectsWith(deleteDirectoryIfEmpty(db, "/", "/"), "EACCES")
+      await addDirectoryEntity(db, "/", "empty", "/")
+      await rejectsWith(deleteDirectoryIfEmpty(db, "/empty/", "/empty/"), "EBUSY")
+      await rejectsWith(emptyDirectory(db, "/", "/empty/"), "EINVAL")
+    })
+
+    test("keeps the encoding and size of text and binary content", async () => {
+      const text = await read(db, "/docs/a.txt")
+      assert.deepEqual([text.encoding, text.size], ["utf8", 5])
+      await addFileEntity(db, "/", "b.bin", "/docs/", Uint8Array.of(0, 255))
+      await updateFile(db, "/", "/docs/a.txt", new Uint16Array([1]))
+      const binary = await read(db, "/docs/b.bin")
+      assert.deepEqual([binary.encoding, binary.size, [...binary.content]], ["binary", 2, [0, 255]])
+      assert.equal((await read(db, "/docs/a.txt")).encoding, "binary")
+      await rejectsWith(addFileEntity(db, "/", "c.txt", "/docs/", { not: "content" }), "EINVAL")
+    })
+
+    test("stats files and directories from their entities", async () => {
+      const file = await statEntity(db, "/", "/docs/a.txt")
+      assert.deepEqual([file.type, file.name, file.size, "childCount" in file], ["file", "a.txt", 5, false])
+      await updateFile(db, "/", "/docs/a.txt", "héllo wörld")
+      await renameFile(db, "/", "/docs/a.txt", "b.txt")
+      assert.equal((await statEntity(db, "/", "/docs/b.txt")).size, 13)
+      await addDirectoryEntity(db, "/", "nested", "/docs/")
+      const directory = await statEntity(db, "/", "/docs/")
+      assert.deepEqual([directory.path, directory.type, directory.size, directory.childCount], ["/docs/", "directory", 0, 2])
+      assert.equal((await statEntity(db, "/", "/")).childCount, 1)
+      await rejectsWith(statEntity(db, "/", "/missing"), "ENOENT")
+    })
+
+    test("writes byte ranges and keeps the size current", async () => {
+      assert.deepEqual(await writeFileRange(db, "/", "/docs/a.txt", 0, "F"), { bytesWritten: 1, size: 5 })
+      assert.deepEqual(await writeFileRange(db, "/", "/docs/a.txt", 7, Uint8Array.of(33)), { bytesWritten: 1, size: 8 })
+      const file = await read(db, "/docs/a.txt")
+      assert.deepEqual([file.content, file.size, (await getEntity(db, "/", "/docs/a.txt")).size], ["First\0\0!", 8, 8])
+      await rejectsWith(writeFileRange(db, "/", "/docs/", 0, "x"), "EISDIR")
+      await rejectsWith(writeFileRange(db, "/", "/docs/a.txt", -1, "x"), "EINVAL")
+    })
+
+    test("updates, renames and moves files with their content", async () => {
+      assert.deepEqual(await updateFile(db, "/", "/docs/a.txt", "second"), { timestampUpdates: 1, contentUpdates: 1 })
+      assert.equal(await renameFile(db, "/", "/docs/a.txt", "b.txt"), "/docs/b.txt")
+      await addDirectoryEntity(db, "/", "archive", "/")
+      assert.equal(await reparentLeaf(db, "/", "/docs/b.txt", "/archive/"), "/archive/b.txt")
+      assert.equal((await read(db, "/archive/b.txt")).content, "second")
+      assert.equal(await entityExists(db, "/", "/docs/b.txt"), false)
+    })
+
+    test("moves a directory with everything beneath it", async () => {
+      await addDirectoryEntity(db, "/", "nested", "/docs/")
+      await addFileEntity(db, "/", "c.txt", "/docs/nested/", "deep")
+      await addDirectoryEntity(db, "/", "target", "/")
+      const moved = await transplantAncestors(db, "/", "/docs/", "/target/", "papers")
+      assert.deepEqual(moved, { oldPath: "/docs/", newPath: "/target/papers/", entitiesMoved: 4 })
+      assert.equal((await read(db, "/target/papers/nested/c.txt")).content, "deep")
+      assert.equal((await getEntity(db, "/", "/target/papers/nested/")).parentPath, "/target/papers/")
+      await rejectsWith(transplantAncestors(db, "/", "/target/", "/target/papers/"), "EINVAL")
+    })
+
+    test("empties a directory and its content records", async () => {
+      await addDirectoryEntity(db, "/", "nested", "/docs/")
+      await addFileEntity(db, "/", "c.txt", "/docs/nested/", "deep")
+      await emptyDirectory(db, "/", "/docs/")
+      assert.deepEqual(await getImmediateChildKeysOfDirectory(db, "/", "/docs/"), [])
+      const contents = await db.transaction("content", "readonly", tx => tx.count("content"))
+      assert.equal(contents, 0)
+    })
+
+    test("helpers sharing a transaction roll back together", async () => {
+      await rejectsWith(
+        withTransaction(
+          db,
+          ["entity", "content"],
+          "readwrite",
+          tx => addFileEntity(db, "/", "b.txt", "/docs/", "partial", tx).then(
+            () => addFileEntity(db, "/", "a.txt", "/docs/", "taken", tx)
+          )
+        ),
+        "EEXIST"
+      )
+      assert.equal(await entityExists(db, "/", "/docs/b.txt"), false)
+      assert.equal((await read(db, "/docs/a.txt")).content, "first")
+    })
+  })
+})
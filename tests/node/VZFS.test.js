@@ -0,0 +1,132 @@
+import { describe, test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import VZFS from "../../src/VZFS.js"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+const rejectsWith = (promise, code) => assert.rejects(
+  promise,
+  e => e.code === code
+)
+
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`VZFS facade on ${label}`, () => {
+    let fs
+
+    beforeEach(() => {
+      fs = new VZFS({ backend: createBackend() })
+    })
+
+    afterEach(() => {
+      fs.stop()
+    })
+
+    test("answers commands sent before init with EINVAL", async () => {
+      await assert.rejects(
+        fs.readFile("/a.txt"),
+        e => e.code === "EINVAL" && e.operation === "readFile"
+      )
+      await assert.rejects(
+        fs.mkdir("/docs"),
+        e => e.code === "EINVAL" && e.operation === "createDirectory"
+      )
+    })
+
+    describe("once initialized", () => {
+      beforeEach(async () => {
+        await fs.init("vzfs_facade_test", 1)
+      })
+
+      test("queued writes all land and writeFile overwrites", async () => {
+        // fired without awaiting to exercise the request queue
+        await Promise.all([
+          fs.mkdir("/docs"),
+          fs.writeFile("/docs/a.txt", "first"),
+          fs.writeFile("/docs/b.txt", "second"),
+          fs.writeFile("/docs/a.txt", "overwritten")
+        ])
+        assert.deepEqual(await fs.readdir("/docs/"), ["a.txt", "b.txt"])
+        assert.equal(await fs.readFile("/docs/a.txt"), "overwritten")
+      })
+
+      test("stat describes files and directories", async () => {
+        await fs.mkdir("/docs")
+        await fs.writeFile("/docs/a.txt", "overwritten")
+        await fs.writeFile("/docs/b.txt", "second")
+        const file = await fs.stat("/docs/a.txt")
+        assert.deepEqual([file.path, file.name, file.type, file.size], ["/docs/a.txt", "a.txt", "file", 11])
+        const directory = await fs.stat("/docs/")
+        assert.deepEqual([directory.type, directory.size, directory.childCount], ["directory", 0, 2])
+      })
+
+      test("renames, moves and unlinks files", async () => {
+        await fs.mkdir("/docs")
+        await fs.writeFile("/docs/b.txt", "second")
+        assert.equal(await fs.renameFile("/docs/b.txt", "c.txt"), "/docs/c.txt")
+        assert.equal(await fs.moveFile("/docs/c.txt", "/"), "/c.txt")
+        await fs.unlink("/c.txt")
+        assert.deepEqual(await fs.readdir("/"), ["docs"])
+      })
+
+      test("readFile of a missing file rejects with ENOENT", async () => {
+        await assert.rejects(
+          fs.readFile("/missing.txt"),
+          e => e.code === "ENOENT" && e.path === "/missing.txt" && e.operation === "readFile"
+        )
+      })
+
+      test("writeFile over an existing file keeps its place in the queue", async () => {
+        await fs.writeFile("/a.txt", "one")
+        // fired without awaiting: the unlink must apply after the overwrite
+        const written = fs.writeFile("/a.txt", "two")
+        const unlinked = fs.unlink("/a.txt")
+        await written
+        await unlinked
+        await rejectsWith(fs.readFile("/a.txt"), "ENOENT")
+      })
+
+      test("writeFile rejects with EISDIR onto a directory and ENOENT under a missing one", async () => {
+        await fs.mkdir("/docs")
+        await assert.rejects(
+          fs.writeFile("/docs", "not a file"),
+          e => e.code === "EISDIR" && e.path === "/docs/"
+        )
+        await rejectsWith(fs.writeFile("/nowhere/a.txt", "lost"), "ENOENT")
+        assert.deepEqual(await fs.readdir("/"), ["docs"])
+      })
+
+      test("a transaction runs every step or none, naming the step that broke it", async () => {
+        await fs.mkdir("/docs")
+        await fs.writeFile("/docs/a.txt", "first")
+        await assert.rejects(
+          fs.transaction([
+            { type: "createDirectory", data: { name: "batch", parentPath: "/" } },
+            { type: "createFile", data: { name: "a.txt", parentPath: "/docs/", content: "again" } }
+          ]),
+          e => e.code === "EEXIST" && e.failedStep === 1
+        )
+        assert.deepEqual(await fs.readdir("/"), ["docs"])
+      })
+
+      test("emptyDir and rmdir remove a directory", async () => {
+        await fs.mkdir("/docs")
+        await fs.writeFile("/docs/a.txt", "first")
+        await fs.emptyDir("/docs/")
+        await fs.rmdir("/docs/")
+        assert.deepEqual(await fs.readdir("/"), [])
+      })
+
+      test("close rejects a read still in flight with EIO", async () => {
+        await fs.writeFile("/last.txt", "still reading")
+        const inFlight = fs.readFile("/last.txt")
+        await fs.close()
+        await rejectsWith(inFlight, "EIO")
+      })
+    })
+  })
+})
@@ -0,0 +1,151 @@
+import { describe, test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import VZFS from "../../src/VZFS.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+const entity = (path, parentPath, name, isLeaf = true) => ({ path, parentPath, name, isLeaf, createdAt: 0, updatedAt: 0 })
+
+const paths = entities => entities.map(e => e.path)
+
+// the same tests run against every backend, so they agree on the interface.
+// they share one database and run in order
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`${label} backend`, () => {
+    const backend = createBackend()
+    let db
+
+    before(async () => {
+      db = await backend.open("backends_test", 1)
+      await db.transaction(["entity", "content"], "readwrite", tx => Promise.all([
+        tx.add("entity", entity("/", null, "", false)),
+        tx.add("entity", entity("/a/", "/", "a", false)),
+        tx.add("entity", entity("/a/x.txt", "/a/", "x.txt")),
+        tx.add("entity", entity("/a/b.txt", "/a/", "b.txt")),
+        tx.add("entity", entity("/c.txt", "/", "c.txt")),
+        tx.put("content", { leafPath: "/a/x.txt", chunkIndex: 0, content: "x" })
+      ]))
+    })
+
+    after(() => {
+      if (db) db.close()
+    })
+
+    test("open creates every store", () => {
+      assert.ok(["entity", "content", "lock", "metadata"].every(s => db.storeNames.includes(s)))
+    })
+
+    test("records are copied in and out", async () => {
+      const read = await db.transaction("content", "readonly", tx => tx.get("content", ["/a/x.txt", 0]))
+      read.content = "changed"
+      const reread = await db.transaction("content", "readonly", tx => tx.get("content", ["/a/x.txt", 0]))
+      assert.equal(reread.content, "x")
+      assert.equal(await db.transaction("entity", "readonly", tx => tx.get("entity", "/missing")), undefined)
+    })
+
+    test("scans and counts by key range and by index", async () => {
+      const prefix = await db.transaction("entity", "readonly", tx => tx.scan("entity", { lower: "/a/", upper: "/a/\uffff" }))
+      assert.deepEqual(paths(prefix), ["/a/", "/a/b.txt", "/a/x.txt"])
+      assert.equal(await db.transaction("entity", "readonly", tx => tx.count("entity", { lower: "/a/", upper: "/a/\uffff", lowerOpen: true })), 2)
+      // ordered by index key, then primary key
+      const children = await db.transaction("entity", "readonly", tx => tx.scan("entity", { index: "parentPath", only: "/" }))
+      assert.deepEqual(paths(children), ["/a/", "/c.txt"])
+    })
+
+    test("deleteMatching deletes what an index query matches", async () => {
+      const deleted = await db.transaction("entity", "readwrite", tx => tx.deleteMatching("entity", { index: "parentPath", only: "/a/" }))
+      assert.equal(deleted, 2)
+      assert.deepEqual(paths(await db.transaction("entity", "readonly", tx => tx.scan("entity"))), ["/", "/a/", "/c.txt"])
+      await db.transaction("entity", "readwrite", tx => Promise.all([
+        tx.add("entity", entity("/a/x.txt", "/a/", "x.txt")),
+        tx.add("entity", entity("/a/b.txt", "/a/", "b.txt"))
+      ]))
+    })
+
+    test("a taken key or unique index entry rejects with EEXIST", async () => {
+      await assert.rejects(
+        db.transaction("entity", "readwrite", tx => tx.add("entity", entity("/c.txt", "/", "c.txt"))),
+        e => e.code === "EEXIST"
+      )
+      await assert.rejects(
+        db.transaction("entity", "readwrite", tx => tx.put("entity", entity("/other.txt", "/", "c.txt"))),
+        e => e.code === "EEXIST"
+      )
+    })
+
+    test("a failed request leaves the transaction running", async () => {
+      const recovered = await db.transaction("entity", "readwrite", tx => tx.add("entity", entity("/c.txt", "/", "c.txt")).then(
+        () => "added",
+        () => tx.put("entity", { ...entity("/c.txt", "/", "c.txt"), updatedAt: 1 }).then(() => "put")
+      ))
+      assert.equal(recovered, "put")
+    })
+
+    test("a rejected or aborted transaction rolls back", async () => {
+      await assert.rejects(
+        db.transaction("entity", "readwrite", tx => tx.delete("entity", "/c.txt").then(() => { throw new Error("operation failed") }))
+      )
+      await assert.rejects(
+        db.transaction("entity", "readwrite", tx => tx.delete("entity", "/a/b.txt").then(() => tx.abort()))
+      )
+      assert.equal(await db.transaction("entity", "readonly", tx => tx.count("entity")), 5)
+    })
+
+    test("a readonly transaction cannot write", async () => {
+      await assert.rejects(
+        db.transaction("entity", "readonly", tx => tx.delete("entity", "/c.txt"))
+      )
+    })
+
+    test("autoincremented keys", async () => {
+      const ids = await db.transaction("lock", "readwrite", tx => Promise.all([
+        tx.add("lock", { pathPrefix: "/a/", mode: "shared", expiry: 1, createdAt: 0 }),
+        tx.add("lock", { pathPrefix: "/a/", mode: "shared", expiry: 2, createdAt: 0 })
+      ]))
+      assert.ok(ids.every(id => typeof id === "number"))
+      assert.ok(ids[1] > ids[0])
+    })
+
+    test("overlapping transactions run in the order they were opened", async () => {
+      const order = []
+      const slow = db.transaction("entity", "readwrite", tx => tx.get("entity", "/").then(() => tx.get("entity", "/")).then(() => { order.push("first") }))
+      const next = db.transaction("entity", "readonly", tx => tx.get("entity", "/").then(() => { order.push("second") }))
+      await Promise.all([slow, next])
+      assert.deepEqual(order, ["first", "second"])
+    })
+
+    test("versions, listing and dropping", async () => {
+      db.close()
+      db = await backend.open("backends_test", 2)
+      assert.equal(db.version, 2)
+      assert.equal(await db.transaction("entity", "readonly", tx => tx.count("entity")), 5)
+      db.close()
+      db = null
+      await assert.rejects(backend.open("backends_test", 1))
+      const listed = await backend.listFilesystems()
+      assert.ok(listed.some(({ name, version }) => name === "backends_test" && version === 2))
+      await backend.dropFilesystem("backends_test")
+      assert.equal((await backend.listFilesystems()).some(({ name }) => name === "backends_test"), false)
+    })
+  })
+})
+
+test("VZFS runs on the memory backend", async () => {
+  const backend = createMemoryBackend()
+  const fs = new VZFS({ backend })
+  try {
+    await fs.init("vzfs_memory_test", 1)
+    await fs.mkdir("/docs")
+    await fs.writeFile("/docs/a.txt", "in memory")
+    assert.equal(await fs.readFile("/docs/a.txt"), "in memory")
+    assert.deepEqual((await backend.listFilesystems()).map(({ name }) => name), ["vzfs_memory_test"])
+    await fs.close()
+  } finally {
+    fs.stop()
+  }
+})
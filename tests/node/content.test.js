@@ -0,0 +1,167 @@
+import { describe, test } from "node:test"
+import assert from "node:assert/strict"
+import {
+  chunkSize,
+  encodeContent,
+  checkEncoding,
+  decodeContent,
+  byteRange,
+  chunkSpan,
+  toChunks,
+  bytesFromChunks,
+  patchChunks,
+  contentToJSON,
+  chunksFromJSON
+} from "../../src/utils/content.js"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import { updateFile } from "../../src/promises/IDB.js"
+import { lockPath, removeLock } from "../../src/promises/lockManager.js"
+import VZFS from "../../src/VZFS.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+const throwsWith = (fn, code) => assert.throws(
+  fn,
+  e => e.code === code
+)
+
+// every byte value, so nothing survives a text round trip by accident
+const allBytes = Uint8Array.from({ length: 256 }, (_, i) => i)
+
+describe("content records", () => {
+  test("text is stored as UTF-8 with its size in bytes", () => {
+    const text = encodeContent("/a.txt", "héllo")
+    assert.deepEqual([text.encoding, text.size], ["utf8", 6])
+    assert.deepEqual(text.bytes, new TextEncoder().encode("héllo"))
+  })
+
+  test("typed arrays, ArrayBuffers and DataViews are bytes", () => {
+    const view = new Uint16Array([1, 2, 3]).subarray(1)
+    const binary = encodeContent("/a.bin", view)
+    assert.deepEqual([binary.encoding, binary.size], ["binary", 4])
+    assert.deepEqual(binary.bytes, new Uint8Array(view.buffer, 2, 4))
+    assert.equal(encodeContent("/a.bin", new DataView(allBytes.buffer)).size, 256)
+    assert.equal(encodeContent("/a.bin", allBytes.buffer).size, 256)
+  })
+
+  test("no content is an empty text file without chunks", () => {
+    assert.equal(encodeContent("/empty.txt").size, 0)
+    assert.deepEqual(toChunks("/empty.txt", new Uint8Array(0)), [])
+  })
+
+  test("other values and unknown encodings are rejected", () => {
+    assert.throws(
+      () => encodeContent("/a.txt", 42, "createFile"),
+      e => e.code === "EINVAL" && e.operation === "createFile"
+    )
+    throwsWith(() => checkEncoding("latin1", "/a.txt", "readFile"), "EINVAL")
+    assert.equal(decodeContent(new TextEncoder().encode("hi"), "utf8"), "hi")
+  })
+
+  test("content is split into chunks and ranges read from the chunks they span", () => {
+    // three chunks, the last one short
+    const big = Uint8Array.from({ length: chunkSize * 2 + 10 }, (_, i) => i % 251)
+    const chunks = toChunks("/big.bin", big)
+    assert.deepEqual(chunks.map(c => [c.chunkIndex, c.content.length]), [[0, chunkSize], [1, chunkSize], [2, 10]])
+    const across = byteRange({ offset: chunkSize - 2, length: 4 })
+    assert.deepEqual(chunkSpan(across), { first: 0, last: 1 })
+    assert.deepEqual(bytesFromChunks(chunks.slice(0, 2), across), big.subarray(chunkSize - 2, chunkSize + 2))
+    // a range without a length runs to the end
+    assert.deepEqual(bytesFromChunks(chunks.slice(2), byteRange({ offset: chunkSize * 2 + 5 })), big.subarray(chunkSize * 2 + 5))
+    assert.ok(chunkSpan(byteRange({ offset: 3, length: 0 })).last < 0)
+    throwsWith(() => byteRange({ offset: -1 }), "EINVAL")
+  })
+
+  test("patching rewrites only the chunks a write touches", () => {
+    const abc = toChunks("/a.txt", new TextEncoder().encode("abc"))
+    // writing past the end pads with zero bytes
+    const grown = patchChunks("/a.txt", abc, 3, 5, new TextEncoder().encode("de"))
+    assert.equal(grown.size, 7)
+    assert.equal(decodeContent(grown.chunks[0].content, "utf8"), "abc\0\0de")
+    const big = Uint8Array.from({ length: chunkSize * 2 + 10 }, (_, i) => i % 251)
+    const patched = patchChunks("/big.bin", toChunks("/big.bin", big).slice(1, 2), big.length, chunkSize + 1, Uint8Array.of(7))
+    assert.deepEqual(patched.chunks.map(c => c.chunkIndex), [1])
+    assert.deepEqual([patched.chunks[0].content[1], patched.chunks[0].content[2]], [7, big[chunkSize + 2]])
+  })
+
+  test("backups carry chunks as base64 and accept older whole-file records", () => {
+    const backedUp = JSON.parse(JSON.stringify(contentToJSON(toChunks("/a.bin", allBytes)[0])))
+    assert.equal(backedUp.encoding, "base64")
+    const restored = chunksFromJSON([backedUp, { leafPath: "/old.txt", content: "héllo", encoding: "utf8", size: 6 }])
+    assert.deepEqual(restored.chunks[0].content, allBytes)
+    assert.equal(restored.chunks[1].leafPath, "/old.txt")
+    assert.deepEqual(restored.files.get("/old.txt"), { encoding: "utf8", size: 6 })
+  })
+})
+
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`file content through VZFS on ${label}`, () => {
+    test("text and bytes, byte ranges, and backup and restore", async () => {
+      const backend = createBackend()
+      const fs = new VZFS({ backend })
+      const restored = new VZFS({ backend })
+      try {
+        await fs.init("vzfs_content_test", 1)
+        await fs.writeFile("/all.bin", allBytes)
+        await fs.writeFile("/note.txt", "text")
+        assert.deepEqual(await fs.readFile("/all.bin"), allBytes)
+        assert.equal(await fs.readFile("/note.txt"), "text")
+        assert.deepEqual([...await fs.readFile("/note.txt", { encoding: "binary" })], [116, 101, 120, 116])
+        await fs.writeFile("/blob.bin", new Blob([allBytes]))
+        assert.deepEqual(await fs.readFile("/blob.bin"), allBytes)
+        // a range write extends a file, keeping text text and its size current
+        assert.deepEqual(await fs.writeFileRange("/note.txt", 2, "st file"), { bytesWritten: 7, size: 9 })
+        assert.equal(await fs.readFile("/note.txt"), "test file")
+        assert.equal((await fs.stat("/note.txt")).size, 9)
+        assert.equal(await fs.readFile("/note.txt", { offset: 5, length: 2 }), "fi")
+        await fs.writeFileRange("/all.bin", 254, Uint8Array.of(1, 2, 3))
+        assert.deepEqual([...await fs.readFile("/all.bin", { offset: 253 })], [253, 1, 2, 3])
+        const large = Uint8Array.from({ length: chunkSize + 100 }, (_, i) => i % 256)
+        await fs.writeFile("/large.bin", large)
+        await fs.writeFileRange("/large.bin", chunkSize - 1, Uint8Array.of(9, 9))
+        const boundary = await fs.readFile("/large.bin", { offset: chunkSize - 2, length: 4 })
+        assert.deepEqual([...boundary], [large[chunkSize - 2], 9, 9, large[chunkSize + 1]])
+        const backup = await fs.ripFilesystemToJSON()
+        await fs.close()
+
+        await restored.restoreFilesystemFromJSON("vzfs_content_test_restored", backup)
+        assert.deepEqual([...await restored.readFile("/all.bin")], [...allBytes.subarray(0, 254), 1, 2, 3])
+        assert.equal(await restored.readFile("/note.txt"), "test file")
+        assert.equal((await restored.readFile("/large.bin")).length, chunkSize + 100)
+        await restored.close()
+      } finally {
+        fs.stop()
+        restored.stop()
+      }
+    })
+
+    // a read that waits on the lock of a write in flight sees the file as the
+    // write left it, never its old encoding and size over the new bytes
+    test("a read during a write sees the written file", async () => {
+      const backend = createBackend()
+      const fs = new VZFS({ backend })
+      let db = null
+      try {
+        await fs.init("vzfs_content_race_test", 1, { lockPolicy: { type: "retry", initialDelayMs: 5, deadlineMs: 5000 } })
+        await fs.writeFile("/race.txt", "abc")
+        // a writer on another connection holds the file while the read starts
+        db = await backend.open("vzfs_content_race_test", 1)
+        const held = await lockPath(db, "/", "/race.txt", 5000, "exclusive", { holder: "writer" })
+        const read = fs.readFile("/race.txt")
+        await new Promise(res => setTimeout(res, 50))
+        const bytes = new Uint8Array(300000).fill(7)
+        await updateFile(db, "/", "/race.txt", bytes)
+        await removeLock(db, held.id, held.token)
+        assert.deepEqual(await read, bytes)
+        await fs.close()
+      } finally {
+        if (db) db.close()
+        fs.stop()
+      }
+    })
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import VZFS from "../../src/VZFS.js"
+import { isolatedBackend } from "./helpers.js"
+
+const heartbeatMs = 50
+
+// resolves whether predicate came true within timeoutMs
+const until = (predicate, timeoutMs = 2000) => new Promise(
+  res => {
+    const started = Date.now()
+    const poll = () => {
+      if (predicate()) res(true);
+      else if (Date.now() - started > timeoutMs) res(false);
+      else setTimeout(poll, 10);
+    }
+    poll()
+  }
+)
+
+function coordinatedContext(name, backend){
+  const context = {
+    name,
+    leader: false,
+    notifications: []
+  }
+  context.fs = new VZFS({
+    coordinated: true,
+    backend,
+    onNotification: evt => {
+      context.notifications.push(evt)
+      if (evt.type === "leadershipChanged") context.leader = evt.leader;
+    }
+  })
+  return context
+}
+
+const heardMutation = (context, type) => until(() => context.notifications.some(
+  evt => evt.type === "peerMutation" && evt.mutation.type === type
+))
+
+// four contexts over one database, like tabs sharing IndexedDB. the tests
+// share them and run in order
+describe("coordinator", () => {
+  const backend = isolatedBackend()
+  const [a, b, c, d] = ["a", "b", "c", "d"].map(name => coordinatedContext(name, backend))
+  let backup
+
+  before(async () => {
+    await a.fs.init("coordinator_test", 1, { heartbeatMs })
+    await b.fs.init("coordinator_test", 1, { heartbeatMs })
+  })
+
+  after(() => {
+    for (const context of [a, b, c, d]) context.fs.stop()
+  })
+
+  test("exactly one context leads", async () => {
+    assert.ok(await until(() => a.leader !== b.leader), `a=${a.leader} b=${b.leader}`)
+  })
+
+  test("a mutation in one context is announced to the other, without its request id", async () => {
+    await b.fs.mkdir("/shared")
+    await b.fs.chdir("/shared/")
+    assert.ok(await heardMutation(a, "createDirectorySuccess"))
+    assert.ok(a.notifications.every(evt => evt.mutation?.requestId === undefined))
+  })
+
+  test("deleting a context's cwd elsewhere sends it back to root", async () => {
+    await a.fs.rmdir("/shared/")
+    assert.ok(await until(() => b.notifications.some(
+      evt => evt.type === "cwdInvalidated" && evt.previousCwd === "/shared/"
+    )))
+    assert.equal(await b.fs.cwd(), "/")
+  })
+
+  test("the other context takes over when the leader closes", async () => {
+    backup = await a.fs.ripFilesystemToJSON()
+    const [leaving, staying] = a.leader ? [a, b] : [b, a]
+    await leaving.fs.close()
+    assert.ok(await until(() => staying.leader), `${staying.name} did not take over from ${leaving.name}`)
+    await staying.fs.close()
+  })
+
+  test("a context that restored the filesystem hears its peers' mutations", async () => {
+    await c.fs.restoreFilesystemFromJSON("coordinator_restored", backup)
+    await d.fs.init("coordinator_restored", 1, { heartbeatMs })
+    await d.fs.mkdir("/after")
+    assert.ok(await heardMutation(c, "createDirectorySuccess"))
+  })
+
+  test("a message that cannot be posted is reported", async () => {
+    const postMessage = BroadcastChannel.prototype.postMessage
+    BroadcastChannel.prototype.postMessage = () => {
+      throw new Error("channel unavailable")
+    }
+    try {
+      await d.fs.mkdir("/unannounced")
+    } finally {
+      BroadcastChannel.prototype.postMessage = postMessage
+    }
+    const reported = d.notifications.find(evt => evt.type === "channelPostFailed")
+    assert.ok(reported)
+    assert.equal(reported.message, "mutation")
+    await c.fs.close()
+    await d.fs.close()
+  })
+})
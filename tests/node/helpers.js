@@ -0,0 +1,14 @@
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb"
+import { createIndexedDBBackend } from "../../src/backends/indexedDB.js"
+
+// a backend over an IndexedDB of its own, so no two tests share databases
+function isolatedBackend(){
+  return createIndexedDBBackend({
+    indexedDB: new IDBFactory(),
+    IDBKeyRange
+  })
+}
+
+export {
+  isolatedBackend
+}
@@ -0,0 +1,261 @@
+import { describe, test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import {
+  pathPrefixesOverlap,
+  findConflictingLocks,
+  lockedTransaction,
+  lockPath,
+  removeLock,
+  renewLock,
+  getConflictingLocks,
+  rejectIfConflictingLockPathPrefixes,
+  listLocks,
+  pruneExpiredLocks
+} from "../../src/promises/lockManager.js"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+const overlapCases = [
+  ["/", "/a/b.txt", true],
+  ["/a/", "/a/", true],
+  ["/a/", "/a/b/", true],
+  ["/a/b/", "/a/", true],
+  ["/a/", "/a/b/c.txt", true],
+  ["/a/b.txt", "/a/b.txt", true],
+  ["/a/b.txt", "/a/b.txt.bak", false],
+  ["/a/b", "/a/bc/", false],
+  ["/a/b/", "/a/bc/", false],
+  ["/a/", "/b/", false],
+]
+
+const later = Date.now() + 60000
+
+const conflictCases = [
+  {
+    name: "exclusive lock on an ancestor sees a held descendant",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "exclusive", expiry: later }],
+    held: [{ id: 2, pathPrefix: "/a/b/", mode: "exclusive", expiry: later }],
+    expected: [2]
+  },
+  {
+    name: "exclusive lock on a descendant sees a held ancestor",
+    reference: [{ id: 1, pathPrefix: "/a/b/c.txt", mode: "exclusive", expiry: later }],
+    held: [{ id: 2, pathPrefix: "/a/", mode: "shared", expiry: later }],
+    expected: [2]
+  },
+  {
+    name: "shared locks on overlapping prefixes coexist",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "shared", expiry: later }],
+    held: [
+      { id: 2, pathPrefix: "/a/", mode: "shared", expiry: later },
+      { id: 3, pathPrefix: "/a/b/", mode: "shared", expiry: later }
+    ],
+    expected: []
+  },
+  {
+    name: "shared lock sees an exclusive descendant",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "shared", expiry: later }],
+    held: [{ id: 2, pathPrefix: "/a/b.txt", mode: "exclusive", expiry: later }],
+    expected: [2]
+  },
+  {
+    name: "rows without a mode are exclusive",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "shared", expiry: later }],
+    held: [{ id: 2, pathPrefix: "/a/", expiry: later }],
+    expected: [2]
+  },
+  {
+    name: "siblings do not conflict",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "exclusive", expiry: later }],
+    held: [
+      { id: 2, pathPrefix: "/ab/", mode: "exclusive", expiry: later },
+      { id: 3, pathPrefix: "/b/c.txt", mode: "exclusive", expiry: later }
+    ],
+    expected: []
+  },
+  {
+    name: "expired locks are ignored",
+    reference: [{ id: 1, pathPrefix: "/a/", mode: "exclusive", expiry: later }],
+    held: [{ id: 2, pathPrefix: "/a/b/", mode: "exclusive", expiry: Date.now() - 1 }],
+    expected: []
+  },
+  {
+    name: "a holder's own locks never conflict with each other",
+    reference: [
+      { id: 1, pathPrefix: "/a/", mode: "exclusive", expiry: later },
+      { id: 2, pathPrefix: "/a/b/", mode: "exclusive", expiry: later }
+    ],
+    held: [
+      { id: 1, pathPrefix: "/a/", mode: "exclusive", expiry: later },
+      { id: 2, pathPrefix: "/a/b/", mode: "exclusive", expiry: later }
+    ],
+    expected: []
+  },
+]
+
+const sleep = ms => new Promise(res => setTimeout(res, ms))
+
+// keeps a transaction busy with requests for ms, like a slow operation would
+function keepBusy(
+  tx,
+  ms
+){
+  const until = Date.now() + ms
+  const spin = () => tx.get(
+    "entity",
+    "/"
+  ).then(
+    () => {
+      if(Date.now() < until) return spin()
+    }
+  )
+  return spin()
+}
+
+describe("lock prefixes", () => {
+  overlapCases.forEach(([a, b, expected]) => {
+    test(`${a} and ${b} ${expected ? "overlap" : "do not overlap"}`, () => {
+      assert.equal(pathPrefixesOverlap(a, b), expected)
+    })
+  })
+
+  conflictCases.forEach(({ name, reference, held, expected }) => {
+    test(name, () => {
+      assert.deepEqual(findConflictingLocks(reference, held).map(l => l.id), expected)
+    })
+  })
+})
+
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`lock manager on ${label}`, () => {
+    let db
+
+    beforeEach(async () => {
+      db = await createBackend().open("lockManager_test", 1)
+    })
+
+    afterEach(() => {
+      db.close()
+    })
+
+    test("reports conflicting holders and guards locks with their tokens", async () => {
+      const descendant = await lockPath(db, "/", "/a/b/", 60000, "exclusive", { holder: "tab-1", command: "emptyDirectory" })
+      const ancestor = await lockPath(db, "/", "/a/", 60000, "exclusive", { holder: "tab-2", command: "moveDirectory" })
+      const conflicts = await getConflictingLocks(db, [ancestor.id])
+      assert.deepEqual(conflicts.map(l => [l.id, l.holder]), [[descendant.id, "tab-1"]])
+      assert.equal("token" in conflicts[0], false)
+      await assert.rejects(rejectIfConflictingLockPathPrefixes(db, [ancestor.id]))
+      const listed = await listLocks(db)
+      assert.deepEqual(listed.map(l => [l.pathPrefix, l.holder, l.command]), [
+        ["/a/b/", "tab-1", "emptyDirectory"],
+        ["/a/", "tab-2", "moveDirectory"]
+      ])
+      assert.ok(listed.every(l => !("token" in l) && !l.expired))
+      assert.equal(await removeLock(db, descendant.id, ancestor.token), 0)
+      await assert.rejects(renewLock(db, descendant.id, ancestor.token, 60000))
+      assert.ok(await renewLock(db, descendant.id, descendant.token, 120000) > Date.now() + 60000)
+      await removeLock(db, ancestor.id, ancestor.token)
+      assert.equal(await removeLock(db, descendant.id, descendant.token), 1)
+    })
+
+    test("shares shared locks and refuses an exclusive one beside them", async () => {
+      const readerOne = await lockPath(db, "/", "/a/", 60000, "shared")
+      const readerTwo = await lockPath(db, "/", "/a/", 60000, "shared")
+      assert.deepEqual(await getConflictingLocks(db, [readerOne.id, readerTwo.id]), [])
+      await assert.rejects(
+        lockPath(db, "/", "/a/", 60000, "exclusive"),
+        e => e.code === "EBUSY"
+      )
+    })
+
+    test("prunes only expired locks and counts them", async () => {
+      await lockPath(db, "/", "/stale/one.txt", 1, "exclusive")
+      await lockPath(db, "/", "/stale/two.txt", 1, "exclusive")
+      await lockPath(db, "/", "/live/", 60000, "exclusive")
+      await sleep(10)
+      const pruned = await pruneExpiredLocks(db)
+      assert.deepEqual([pruned.pruned, pruned.remaining], [2, 1])
+      assert.deepEqual((await listLocks(db)).map(l => l.pathPrefix), ["/live/"])
+    })
+
+    test("failFast and retry policies", async () => {
+      const writer = await lockPath(db, "/", "/p/", 60000, "exclusive")
+      await assert.rejects(
+        lockedTransaction(db, "/", ["/p/q.txt"], 5000, "readwrite", () => "ran"),
+        e => e.code === "EBUSY"
+      )
+      await assert.rejects(
+        lockedTransaction(db, "/", ["/p/q.txt"], 5000, "readwrite", () => "ran", { type: "retry", initialDelayMs: 10, deadlineMs: 100 }),
+        e => e.code === "EBUSY"
+      )
+      setTimeout(() => removeLock(db, writer.id, writer.token), 150)
+      assert.equal(
+        await lockedTransaction(db, "/", ["/p/q.txt"], 5000, "readwrite", () => "ran", { type: "retry", initialDelayMs: 10, deadlineMs: 2000 }),
+        "ran"
+      )
+      // retry only waits out EBUSY
+      const invalidStarted = Date.now()
+      await assert.rejects(
+        lockedTransaction(db, "/", ["/p/bad name"], 5000, "readwrite", () => "ran", { type: "retry", initialDelayMs: 10, deadlineMs: 2000 }),
+        e => e.code === "EINVAL"
+      )
+      assert.ok(Date.now() - invalidStarted < 1000)
+    })
+
+    test("queue policy serves waiters in order and times out", async () => {
+      const queueBlocker = await lockPath(db, "/", "/p/", 60000, "exclusive")
+      const order = []
+      const queued = ["first", "second", "third"].map(
+        name => lockedTransaction(db, "/", ["/p/q.txt"], 5000, "readwrite", () => { order.push(name) }, { type: "queue", timeoutMs: 2000, pollMs: 20 })
+      )
+      setTimeout(() => removeLock(db, queueBlocker.id, queueBlocker.token), 100)
+      await Promise.all(queued)
+      assert.deepEqual(order, ["first", "second", "third"])
+      const timeoutBlocker = await lockPath(db, "/", "/p/", 60000, "exclusive")
+      await assert.rejects(
+        lockedTransaction(db, "/", ["/p/q.txt"], 5000, "readwrite", () => "ran", { type: "queue", timeoutMs: 100, pollMs: 20 }),
+        e => e.code === "EBUSY"
+      )
+      await removeLock(db, timeoutBlocker.id, timeoutBlocker.token)
+    })
+
+    test("renews a lease for as long as the operation runs", async () => {
+      let competitor = "not attempted"
+      setTimeout(
+        () => lockPath(db, "/", "/slow/", 60000, "exclusive").then(
+          l => {
+            competitor = "acquired"
+            return removeLock(db, l.id, l.token)
+          },
+          () => { competitor = "refused" }
+        ),
+        250
+      )
+      const slow = await lockedTransaction(db, "/", ["/slow/"], 100, "readwrite", tx => keepBusy(tx, 400).then(() => "done"))
+      assert.equal(slow, "done")
+      assert.equal(competitor, "refused")
+    })
+
+    test("aborts and rolls back an operation whose lease was lost", async () => {
+      await assert.rejects(
+        lockedTransaction(db, "/", ["/stolen/"], 100, "readwrite", tx => {
+          // simulate the lock being taken over by deleting its row underneath the lease
+          db.transaction(
+            "lock",
+            "readwrite",
+            steal => steal.scan("lock", { index: "pathPrefix", only: "/stolen/" }).then(
+              locks => Promise.all(locks.map(l => steal.delete("lock", l.id)))
+            )
+          )
+          return tx.put("entity", { path: "/stolen/marker", name: "marker" }).then(() => keepBusy(tx, 300))
+        })
+      )
+      assert.equal(await db.transaction("entity", "readonly", tx => tx.get("entity", "/stolen/marker")), undefined)
+    })
+  })
+})
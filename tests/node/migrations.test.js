@@ -0,0 +1,171 @@
+import { test, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { IDBFactory, IDBKeyRange } from "fake-indexeddb"
+import {
+  migrations,
+  addIndex,
+  backfill,
+  getSchemaVersion
+} from "../../src/promises/migrations.js"
+import { createIndexedDBBackend } from "../../src/backends/indexedDB.js"
+import { getEntity, joinContentToLeaf } from "../../src/promises/IDB.js"
+
+const depthMigration = {
+  from: 3,
+  to: 4,
+  description: "entity depth index",
+  up: (db, tx) => {
+    addIndex(
+      tx,
+      "entity",
+      "depth",
+      "depth"
+    )
+    backfill(
+      tx,
+      "entity",
+      entity => entity.depth === undefined ? {
+        ...entity,
+        depth: entity.path.split("/").filter(v => v !== "").length
+      } : undefined
+    )
+  }
+}
+
+// the raw IndexedDB API is only needed to build databases in formats the
+// registry no longer creates
+function openRawDB(indexedDB, name, version, build){
+  return new Promise(
+    (res, rej) => {
+      const rq = indexedDB.open(name, version)
+      rq.onsuccess = () => res(rq.result)
+      rq.onerror = () => rej(rq.error)
+      rq.onupgradeneeded = e => build(e.target.result, e.target.transaction)
+    }
+  )
+}
+
+const openLegacyDB = (indexedDB, name) => openRawDB(indexedDB, name, 1, db => {
+  db.createObjectStore("entity", { keyPath: "path" })
+  db.createObjectStore("lock", { keyPath: "pathPrefix" })
+})
+
+// a version 1 database as the registry made it before content was chunked,
+// holding records written before entities carried a size or an encoding
+const openUnchunkedDB = (indexedDB, name, version = 1) => openRawDB(indexedDB, name, version, (db, tx) => {
+  db.createObjectStore("entity", { keyPath: "path" })
+  db.createObjectStore("content", { keyPath: "leafPath" })
+  db.createObjectStore("lock", { keyPath: "id", autoIncrement: true })
+  db.createObjectStore("metadata", { keyPath: "key" })
+  tx.objectStore("metadata").put({ key: "schemaVersion", version, previousVersion: 0, migrations: [], migratedAt: 0 })
+  tx.objectStore("entity").put({ path: "/", name: "", isLeaf: false, parentPath: null })
+  tx.objectStore("entity").put({ path: "/a/", name: "a", isLeaf: false, parentPath: "/" })
+  tx.objectStore("entity").put({ path: "/a/b.txt", name: "b.txt", isLeaf: true, parentPath: "/a/" })
+  tx.objectStore("entity").put({ path: "/a/c.bin", name: "c.bin", isLeaf: true, parentPath: "/a/" })
+  tx.objectStore("content").put({ leafPath: "/a/b.txt", content: "héllo" })
+  tx.objectStore("content").put({ leafPath: "/a/c.bin", content: Uint8Array.of(0, 1, 255), encoding: "binary", size: 3 })
+})
+
+// resolves whether store has the index, by scanning it
+function hasIndex(db, storeName, index){
+  return db.transaction(
+    storeName,
+    "readonly",
+    tx => tx.scan(storeName, { index })
+  ).then(
+    () => true,
+    () => false
+  )
+}
+
+const read = (db, path) => getEntity(db, "/", path).then(
+  leaf => joinContentToLeaf(db, leaf)
+)
+
+let indexedDB
+let backend
+
+// each test gets an IndexedDB of its own
+beforeEach(() => {
+  indexedDB = new IDBFactory()
+  backend = createIndexedDBBackend({ indexedDB, IDBKeyRange })
+})
+
+test("a new database gets every store and records version 1", async () => {
+  const db = await backend.open("migrations_test", 1)
+  try {
+    assert.ok(["entity", "content", "lock", "metadata"].every(s => db.storeNames.includes(s)))
+    assert.equal((await getSchemaVersion(db)).version, 1)
+  } finally {
+    db.close()
+  }
+})
+
+test("upgrading runs only the migrations past the stored version", async () => {
+  const unchunked = await openUnchunkedDB(indexedDB, "migrations_test")
+  unchunked.close()
+  const upgraded = createIndexedDBBackend({
+    indexedDB,
+    IDBKeyRange,
+    migrations: [...migrations, depthMigration]
+  })
+  const db = await upgraded.open("migrations_test", 4)
+  try {
+    const version = await getSchemaVersion(db)
+    assert.deepEqual([version.version, version.previousVersion, version.migrations.length], [4, 1, 3])
+    const entities = await db.transaction("entity", "readonly", tx => tx.scan("entity"))
+    // file entities are given the size of their content
+    assert.deepEqual(entities.map(e => [e.path, e.size]), [
+      ["/", undefined],
+      ["/a/", undefined],
+      ["/a/b.txt", 6],
+      ["/a/c.bin", 3]
+    ])
+    const chunks = await db.transaction("content", "readonly", tx => tx.scan("content"))
+    assert.deepEqual(chunks.map(c => [c.leafPath, c.chunkIndex]), [["/a/b.txt", 0], ["/a/c.bin", 0]])
+    assert.equal(db.storeNames.includes("legacyContent"), false)
+    assert.equal((await read(db, "/a/b.txt")).content, "héllo")
+    const binary = await read(db, "/a/c.bin")
+    assert.equal(binary.encoding, "binary")
+    assert.deepEqual([...binary.content], [0, 1, 255])
+    assert.equal(await hasIndex(db, "entity", "depth"), true)
+    assert.deepEqual(entities.map(e => e.depth), [0, 1, 2, 2])
+  } finally {
+    db.close()
+  }
+})
+
+test("a database from before the registry replays the baseline migration", async () => {
+  const legacy = await openLegacyDB(indexedDB, "migrations_legacy")
+  assert.equal(Array.from(legacy.objectStoreNames).includes("metadata"), false)
+  legacy.close()
+  const db = await backend.open("migrations_legacy", 2)
+  try {
+    const lockId = await db.transaction(
+      "lock",
+      "readwrite",
+      tx => tx.add("lock", { pathPrefix: "/", mode: "shared", expiry: 0, createdAt: 0 })
+    )
+    assert.equal(typeof lockId, "number")
+    assert.equal(await hasIndex(db, "lock", "expiry"), true)
+    assert.equal(await hasIndex(db, "entity", "parentPath"), true)
+    assert.ok(db.storeNames.includes("content"))
+  } finally {
+    db.close()
+  }
+})
+
+test("content from before chunking is refused below version 3 and migrated at 3", async () => {
+  const stale = await openUnchunkedDB(indexedDB, "migrations_unchunked", 2)
+  stale.close()
+  await assert.rejects(
+    backend.open("migrations_unchunked", 2),
+    e => e.code === "EIO"
+  )
+  const db = await backend.open("migrations_unchunked", 3)
+  try {
+    assert.equal((await read(db, "/a/b.txt")).content, "héllo")
+  } finally {
+    db.close()
+  }
+})
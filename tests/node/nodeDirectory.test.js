@@ -0,0 +1,98 @@
+import { describe, test, before, after } from "node:test"
+import assert from "node:assert/strict"
+import { mkdtemp, mkdir, writeFile, readFile, readdir, rm } from "node:fs/promises"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+import { createNodeDirectoryBackend } from "../../src/backends/nodeDirectory.js"
+import VZFS from "../../src/VZFS.js"
+
+const exists = path => readFile(path).then(() => true, e => e.code === "EISDIR")
+
+// the tests share one host directory and run in order
+describe("node directory backend", () => {
+  let root
+  let fs
+  const host = (...path) => join(root, "project", ...path)
+
+  // a project folder that already has files in it
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), "vzfs-"))
+    await mkdir(host("src"), { recursive: true })
+    await writeFile(host("src", "index.js"), "console.log(1)")
+    await writeFile(host("not allowed.txt"), "skipped")
+    await writeFile(host("src", "logo.png"), Uint8Array.of(0x89, 0x50, 0xff, 0x00))
+    fs = new VZFS({ backend: createNodeDirectoryBackend({ root }) })
+    await fs.init("project", 1)
+  })
+
+  after(async () => {
+    fs.stop()
+    await rm(root, { recursive: true, force: true })
+  })
+
+  test("adopts the files already on the host", async () => {
+    assert.deepEqual(await fs.readdir("/src/"), ["index.js", "logo.png"])
+    // names VZFS does not allow are left out
+    assert.deepEqual(await fs.readdir("/"), ["src"])
+    assert.equal(await fs.readFile("/src/index.js"), "console.log(1)")
+    // files that are not UTF-8 are read as bytes, sized from the host
+    assert.deepEqual([...await fs.readFile("/src/logo.png")], [137, 80, 255, 0])
+    assert.equal((await fs.stat("/src/logo.png")).size, 4)
+  })
+
+  test("writes land on the host", async () => {
+    await fs.mkdir("/out")
+    await fs.writeFile("/out/a.txt", "hello")
+    assert.equal(await readFile(host("out", "a.txt"), "utf8"), "hello")
+    await fs.writeFile("/out/ascii.bin", new TextEncoder().encode("plain"))
+    assert.equal((await readFile(host("out", "ascii.bin"))).toString(), "plain")
+    await fs.renameFile("/out/a.txt", "b.txt")
+    assert.equal(await exists(host("out", "a.txt")), false)
+    assert.equal(await exists(host("out", "b.txt")), true)
+  })
+
+  test("a range write patches the host file and shorter content truncates it", async () => {
+    await fs.writeFileRange("/out/b.txt", 5, " world")
+    assert.equal(await readFile(host("out", "b.txt"), "utf8"), "hello world")
+    await fs.writeFile("/out/b.txt", "hello")
+    assert.equal(await readFile(host("out", "b.txt"), "utf8"), "hello")
+  })
+
+  test("the sidecar records entity metadata", async () => {
+    const sidecar = JSON.parse(await readFile(join(root, "project.vzfs.json"), "utf8"))
+    assert.equal(sidecar.version, 1)
+    assert.ok("/out/b.txt" in sidecar.entities)
+  })
+
+  test("a failed command leaves the host untouched", async () => {
+    await assert.rejects(fs.writeFile("/missing/c.txt", "nowhere"))
+    assert.equal(await exists(host("missing")), false)
+  })
+
+  test("a new backend reads back what was written", async () => {
+    await fs.close()
+    const reopened = new VZFS({ backend: createNodeDirectoryBackend({ root }) })
+    try {
+      await reopened.init("project", 1)
+      assert.equal(await reopened.readFile("/out/b.txt"), "hello")
+      // bytes that happen to be UTF-8 are still bytes after reopening
+      assert.ok(await reopened.readFile("/out/ascii.bin") instanceof Uint8Array)
+      await reopened.close()
+    } finally {
+      reopened.stop()
+    }
+  })
+
+  test("lists and drops filesystems by their sidecars", async () => {
+    const admin = new VZFS({ backend: createNodeDirectoryBackend({ root }) })
+    try {
+      const listed = await admin.listFilesystems()
+      assert.ok(listed.some(({ name, version }) => name === "project" && version === 1))
+      await admin.dropFilesystem("project")
+      // the directory and its sidecar are gone
+      assert.deepEqual(await readdir(root), [])
+    } finally {
+      admin.stop()
+    }
+  })
+})
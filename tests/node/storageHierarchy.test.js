@@ -0,0 +1,260 @@
+import { describe, test, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { createMachine, interpret } from "xstate"
+import storageHierarchy from "../../src/subsystems/storageHierarchy.js"
+import storageHierarchyTest from "../storageHierarchy.test.js"
+import { createMemoryBackend } from "../../src/backends/memory.js"
+import { isolatedBackend } from "./helpers.js"
+
+const backends = {
+  indexedDB: isolatedBackend,
+  memory: createMemoryBackend
+}
+
+// runs the actor under a parent that hands each reply to the command that
+// asked for it, matched by request id; a command the operator turns away as
+// busy is sent again once it is awaiting commands
+function startActor(backend){
+  const waiting = new Map()
+  let awaiting = []
+  let nextRequestId = 1
+  const service = interpret(
+    createMachine({
+      predictableActionArguments: true,
+      invoke: {
+        id: "fs",
+        src: storageHierarchy.withContext({
+          ...storageHierarchy.context,
+          backend
+        })
+      },
+      on: {
+        "*": {
+          actions: (_, evt) => {
+            if (evt.type === "vzfsAwaitingCommand") {
+              const resends = awaiting
+              awaiting = []
+              resends.forEach(resend => resend())
+              return
+            }
+            const pending = waiting.get(evt.requestId)
+            if (!pending) return
+            if (evt.type === "commandRejectedBusy") {
+              awaiting.push(pending.send)
+              return
+            }
+            waiting.delete(evt.requestId)
+            pending.resolve(evt)
+          }
+        }
+      }
+    })
+  ).start()
+  const command = event => new Promise(resolve => {
+    const requestId = nextRequestId++
+    const send = () => service.children.get("fs").send({
+      ...event,
+      requestId
+    })
+    waiting.set(requestId, { resolve, send })
+    send()
+  })
+  // close has no reply
+  const close = () => service.children.get("fs").send({ type: "close" })
+  return { service, command, close }
+}
+
+// a reply of the expected type, or a failed assertion naming what came back
+async function succeeds(reply, type){
+  const evt = await reply
+  assert.equal(evt.type, `${type}Success`, `${type} failed: ${evt.code} ${evt.msg}`)
+  return evt
+}
+
+async function fails(reply, type, code){
+  const evt = await reply
+  assert.equal(evt.type, `${type}Failure`)
+  assert.equal(evt.code, code)
+  return evt
+}
+
+const createFile = (parentPath, name, content) => ({
+  type: "createFile",
+  data: { parentPath, name, content }
+})
+
+const createDirectory = (parentPath, name) => ({
+  type: "createDirectory",
+  data: { parentPath, name }
+})
+
+const readFile = path => ({
+  type: "readFile",
+  data: { path }
+})
+
+const listDirectory = path => ({
+  type: "getDirectoryRecord",
+  data: { path }
+})
+
+Object.entries(backends).forEach(([label, createBackend]) => {
+  describe(`storageHierarchy commands on ${label}`, () => {
+    let backend
+    let actor
+    let command
+
+    beforeEach(async () => {
+      backend = createBackend()
+      actor = startActor(backend)
+      command = actor.command
+      await succeeds(command({
+        type: "init",
+        filesystemName: "storage_hierarchy_test",
+        version: 1,
+        lockPolicy: { type: "failFast" },
+        lockDurationMs: 5000,
+        lockPruneIntervalMs: 30000
+      }), "init")
+    })
+
+    afterEach(() => {
+      actor.close()
+      actor.service.stop()
+    })
+
+    test("answers commands sent before init with EINVAL", async () => {
+      const early = startActor(createBackend())
+      try {
+        const failure = await fails(early.command(readFile("/a.txt")), "readFile", "EINVAL")
+        assert.equal(failure.requestId, 1)
+        await fails(early.command(createDirectory("/", "docs")), "createDirectory", "EINVAL")
+      } finally {
+        early.service.stop()
+      }
+    })
+
+    test("creates, reads, updates and deletes a file", async () => {
+      const created = await succeeds(command(createFile("/", "a.txt", "first")), "createFile")
+      assert.equal(created.newFilePath, "/a.txt")
+      assert.equal((await succeeds(command(readFile("/a.txt")), "readFile")).file.content, "first")
+      await fails(command(createFile("/", "a.txt", "again")), "createFile", "EEXIST")
+      await succeeds(command({
+        type: "updateFileContent",
+        data: { path: "/a.txt", content: "second" }
+      }), "updateFile")
+      assert.equal((await succeeds(command(readFile("/a.txt")), "readFile")).file.content, "second")
+      const written = await succeeds(command({
+        type: "writeFileRange",
+        data: { path: "/a.txt", offset: 6, content: "!" }
+      }), "writeFileRange")
+      assert.deepEqual([written.bytesWritten, written.size], [1, 7])
+      assert.equal((await succeeds(command(readFile("/a.txt")), "readFile")).file.content, "second!")
+      await succeeds(command({
+        type: "deleteFile",
+        data: { path: "/a.txt" }
+      }), "deleteFile")
+      const missing = await fails(command(readFile("/a.txt")), "readFile", "ENOENT")
+      assert.equal(missing.path, "/a.txt")
+    })
+
+    test("lists, moves and renames within directories", async () => {
+      await succeeds(command(createDirectory("/", "docs")), "createDirectory")
+      await succeeds(command(createDirectory("/", "archive")), "createDirectory")
+      await succeeds(command(createFile("/docs/", "a.txt", "a")), "createFile")
+      await succeeds(command(createFile("/docs/", "b.txt", "b")), "createFile")
+      const listed = await succeeds(command(listDirectory("/docs/")), "getDirectoryRecord")
+      assert.deepEqual(listed.data.childKeys, ["/docs/a.txt", "/docs/b.txt"])
+      const renamed = await succeeds(command({
+        type: "renameFile",
+        data: { path: "/docs/b.txt", newName: "c.txt" }
+      }), "renameFile")
+      assert.equal(renamed.newFilePath, "/docs/c.txt")
+      const moved = await succeeds(command({
+        type: "moveFile",
+        data: { path: "/docs/c.txt", newParentPath: "/archive/" }
+      }), "moveFile")
+      assert.equal(moved.newFilePath, "/archive/c.txt")
+      assert.equal((await succeeds(command(readFile("/archive/c.txt")), "readFile")).file.content, "b")
+      const stat = (await succeeds(command({
+        type: "stat",
+        data: { path: "/archive/" }
+      }), "stat")).stat
+      assert.deepEqual([stat.type, stat.childCount], ["directory", 1])
+      await fails(command({
+        type: "deleteDirectoryIfEmpty",
+        data: { path: "/docs/" }
+      }), "deleteDirectoryIfEmpty", "ENOTEMPTY")
+      await succeeds(command({
+        type: "emptyDirectory",
+        data: { path: "/docs/" }
+      }), "emptyDirectory")
+      await succeeds(command({
+        type: "deleteDirectoryIfEmpty",
+        data: { path: "/docs/" }
+      }), "deleteDirectoryIfEmpty")
+      assert.deepEqual((await succeeds(command(listDirectory("/")), "getDirectoryRecord")).data.childKeys, ["/archive/"])
+    })
+
+    test("runs every step of a transaction or none", async () => {
+      const done = await succeeds(command({
+        type: "transaction",
+        data: {
+          steps: [
+            createDirectory("/", "scaffold"),
+            createFile("/scaffold/", "index.js", "export {}")
+          ]
+        }
+      }), "transaction")
+      assert.deepEqual(done.results.map(r => r.type), ["createDirectory", "createFile"])
+      assert.equal(done.results[1].result.newFilePath, "/scaffold/index.js")
+      const failed = await fails(command({
+        type: "transaction",
+        data: {
+          steps: [
+            createDirectory("/", "rolledBack"),
+            createFile("/rolledBack/", "partial.txt", "never kept"),
+            createDirectory("/", "scaffold")
+          ]
+        }
+      }), "transaction", "EEXIST")
+      assert.equal(failed.failedStep, 2)
+      await fails(command(listDirectory("/rolledBack/")), "getDirectoryRecord", "ENOENT")
+    })
+
+    test("restores a ripped filesystem", async () => {
+      await succeeds(command(createDirectory("/", "docs")), "createDirectory")
+      await succeeds(command(createFile("/docs/", "a.txt", "kept")), "createFile")
+      const { backup } = await succeeds(command({ type: "ripFilesystemToJSON" }), "ripFilesystemToJSON")
+      const { locks } = await succeeds(command({ type: "listLocks" }), "listLocks")
+      assert.deepEqual(locks, [])
+      actor.close()
+      await succeeds(command({
+        type: "restoreFilesystemFromJSON",
+        fsName: "storage_hierarchy_restored",
+        version: 1,
+        backup
+      }), "restoreFilesystemFromJSON")
+      assert.equal((await succeeds(command(readFile("/docs/a.txt")), "readFile")).file.content, "kept")
+      actor.close()
+      const { filesystems } = await succeeds(command({ type: "listFilesystems" }), "listFilesystems")
+      assert.ok(filesystems.some(({ name }) => name === "storage_hierarchy_restored"))
+    })
+  })
+})
+
+// the browser tester walks through far more than the commands above (locks,
+// bulk writes, reads during writes); it reports mismatches as ERROR lines
+Object.entries(backends).forEach(([label, createBackend]) => {
+  test(`the browser tester reports no errors on ${label}`, { timeout: 30000 }, async () => {
+    const lines = []
+    await storageHierarchyTest({
+      out: (text, level = "INFO") => {
+        lines.push({ text, level })
+      },
+      backend: createBackend()
+    })
+    assert.deepEqual(lines.filter(l => l.level === "ERROR").map(l => l.text), [])
+    assert.ok(lines.some(l => l.text === "restored fs holds the backed up entities"))
+  })
+})
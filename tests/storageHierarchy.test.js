@@ -28,7 +28,7 @@ function ts(){
   }`
 }
 
-function out(
+function appendToPage(
   text, 
   level = "INFO"
 ) {
@@ -51,10 +51,17 @@ function out(
   p.scrollIntoView()
 }
 
-function storageHierarchyTest() {
+// out(text, level) reports progress; level is "ERROR" when a check fails. a
+// backend (see src/backends/backend.js) replaces IndexedDB for the run.
+// resolves once the last test has run.
+function storageHierarchyTest({
+  out = appendToPage,
+  backend
+} = {}) {
   const tester = interpret(
     createMachine(
       {
+        id: "storageHierarchyTester",
         predictableActionArguments: true,
         initial: "cleanupOldTestDBs",
         context: {
@@ -66,7 +73,10 @@ function storageHierarchyTest() {
             entry: [
               assign(() => ({
                 fs: spawn(
-                  storageHierarchy,
+                  backend ? storageHierarchy.withContext({
+                    ...storageHierarchy.context,
+                    backend
+                  }) : storageHierarchy,
                   "fsActor"
                 )
               })),
@@ -79,7 +89,7 @@ function storageHierarchyTest() {
                 always: [
                   {
                     target: "enumerateFilesystems",
-                    cond: () => typeof window.indexedDB.databases !== "undefined",
+                    cond: () => Boolean(backend) || typeof window.indexedDB.databases !== "undefined",
                     actions: () => out(
                       "method exists so listing DBs"
                     )
@@ -352,6 +362,7 @@ function storageHierarchyTest() {
                         "fsActor",
                         ctx => ({
                           type: "readFile",
+                          requestId: "testThree",
                           data: {
                             path: ctx.testTwoFilePath
                           }
@@ -367,6 +378,12 @@ function storageHierarchyTest() {
                               JSON.stringify(evt)
                             }`
                           ),
+                          (_, evt) => evt.requestId !== "testThree" && out(
+                            `readFileSuccess did not echo requestId: ${
+                              evt.requestId
+                            }`,
+                            "ERROR"
+                          ),
                         ]
                       },
                       readFileFailure: {
@@ -918,7 +935,7 @@ function storageHierarchyTest() {
                     ],
                     on: {
                       getDirectoryRecordSuccess: {
-                        target: "test16_5",
+                        target: "test16_1",
                         actions: [
                           (_, evt) => out(
                             `got directory record: ${
@@ -943,6 +960,179 @@ function storageHierarchyTest() {
                       }
                     }
                   },
+                  test16_1: {
+                    entry: [
+                      (ctx) => out(
+                        `moving file ${
+                          ctx.testTwoFilePath
+                        } to /testDir/`
+                      ),
+                      sendTo(
+                        "fsActor",
+                        ctx => ({
+                          type: "moveFile",
+                          data: {
+                            path: ctx.testTwoFilePath,
+                            newParentPath: "/testDir/"
+                          }
+                        })
+                      )
+                    ],
+                    on: {
+                      moveFileSuccess: {
+                        target: "test16_2",
+                        actions: [
+                          (_, evt) => out(
+                            `moved file: ${
+                              JSON.stringify(evt)
+                            }`
+                          ),
+                          assign(
+                            (ctx, evt) => ({
+                              ...ctx,
+                              testTwoFilePath: evt.newFilePath
+                            })
+                          )
+                        ]
+                      },
+                      moveFileFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `move file fail: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          ),
+                        ]
+                      }
+                    }
+                  },
+                  test16_2: {
+                    entry: [
+                      () => out(
+                        "renaming /testDir/ to /renamedDir/"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "renameDirectory",
+                          data: {
+                            path: "/testDir/",
+                            newName: "renamedDir"
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      renameDirectorySuccess: {
+                        target: "test16_3",
+                        actions: [
+                          (_, evt) => out(
+                            `renamed directory: ${
+                              JSON.stringify(evt)
+                            }`
+                          )
+                        ]
+                      },
+                      renameDirectoryFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `rename directory fail: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          ),
+                        ]
+                      }
+                    }
+                  },
+                  test16_3: {
+                    entry: [
+                      () => out(
+                        "moving /renamedDir/ back to /testDir/"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "moveDirectory",
+                          data: {
+                            path: "/renamedDir/",
+                            newParentPath: "/",
+                            newName: "testDir"
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      moveDirectorySuccess: {
+                        target: "test16_4",
+                        actions: [
+                          (_, evt) => out(
+                            `moved directory: ${
+                              JSON.stringify(evt)
+                            }`
+                          )
+                        ]
+                      },
+                      moveDirectoryFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `move directory fail: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          ),
+                        ]
+                      }
+                    }
+                  },
+                  test16_4: {
+                    entry: [
+                      (ctx) => out(
+                        `renaming file: ${
+                          ctx.testTwoFilePath
+                        }`
+                      ),
+                      sendTo(
+                        "fsActor",
+                        ctx => ({
+                          type: "renameFile",
+                          data: {
+                            path: ctx.testTwoFilePath,
+                            newName: "renamed.txt"
+                          }
+                        })
+                      )
+                    ],
+                    on: {
+                      renameFileSuccess: {
+                        target: "test16_5",
+                        actions: [
+                          (_, evt) => out(
+                            `renamed file: ${
+                              JSON.stringify(evt)
+                            }`
+                          ),
+                          assign(
+                            (ctx, evt) => ({
+                              ...ctx,
+                              testTwoFilePath: evt.newFilePath
+                            })
+                          )
+                        ]
+                      },
+                      renameFileFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `rename file fail: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          ),
+                        ]
+                      }
+                    }
+                  },
                   test16_5: {
                     entry: [
                       () => out(
@@ -975,7 +1165,8 @@ function storageHierarchyTest() {
                           (_, evt) => out(
                             `rip fs to json fail: ${
                               JSON.stringify(evt)
-                            }`
+                            }`,
+                            "ERROR"
                           )
                         ]
                       }
@@ -1126,7 +1317,7 @@ function storageHierarchyTest() {
                     ],
                     on: {
                       getDirectoryRecordSuccess: {
-                        target: "test21",
+                        target: "test20_5",
                         actions: [
                           (_, evt) => out(
                             `got directory record: ${
@@ -1151,6 +1342,524 @@ function storageHierarchyTest() {
                       }
                     }
                   },
+                  test20_5: {
+                    entry: [
+                      () => out(
+                        "scaffolding /scaffold/ in one transaction"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "transaction",
+                          data: {
+                            steps: [
+                              {
+                                type: "createDirectory",
+                                data: {
+                                  name: "scaffold",
+                                  parentPath: "/"
+                                }
+                              },
+                              {
+                                type: "createFile",
+                                data: {
+                                  name: "index.js",
+                                  content: "export default {}",
+                                  parentPath: "/scaffold/"
+                                }
+                              },
+                              {
+                                type: "createFile",
+                                data: {
+                                  name: "config.json",
+                                  content: "{}",
+                                  parentPath: "/scaffold/"
+                                }
+                              },
+                              {
+                                type: "updateFileContent",
+                                data: {
+                                  path: "/scaffold/config.json",
+                                  content: "{\"scaffolded\":true}"
+                                }
+                              }
+                            ]
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      transactionSuccess: {
+                        target: "test20_5_1",
+                        actions: [
+                          (_, evt) => out(
+                            `transaction results: ${
+                              JSON.stringify(
+                                evt.results
+                              )
+                            }`
+                          )
+                        ]
+                      },
+                      transactionFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `transaction fail at step ${
+                              evt.failedStep
+                            }: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_5_1: {
+                    // the last step collides with /scaffold/, so the first two
+                    // must be rolled back with it
+                    entry: [
+                      () => out(
+                        "running a transaction whose step 2 of 3 fails"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "transaction",
+                          data: {
+                            steps: [
+                              {
+                                type: "createDirectory",
+                                data: {
+                                  name: "rolledBack",
+                                  parentPath: "/"
+                                }
+                              },
+                              {
+                                type: "createFile",
+                                data: {
+                                  name: "partial.txt",
+                                  content: "never kept",
+                                  parentPath: "/rolledBack/"
+                                }
+                              },
+                              {
+                                type: "createDirectory",
+                                data: {
+                                  name: "scaffold",
+                                  parentPath: "/"
+                                }
+                              }
+                            ]
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      transactionSuccess: {
+                        actions: [
+                          () => out(
+                            "transaction with a colliding step succeeded",
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      transactionFailure: {
+                        target: "test20_5_2",
+                        actions: [
+                          (_, evt) => out(
+                            `transaction failed at step ${
+                              evt.failedStep
+                            } with ${
+                              evt.code
+                            }`,
+                            evt.failedStep === 2 && evt.code === "EEXIST" ? "INFO" : "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_5_2: {
+                    entry: [
+                      () => out(
+                        "checking the failed transaction left nothing behind"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "getDirectoryRecord",
+                          data: {
+                            path: "/rolledBack/"
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      getDirectoryRecordSuccess: {
+                        target: "test20_6",
+                        actions: [
+                          () => out(
+                            "/rolledBack/ from step 0 survived the failed transaction",
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      getDirectoryRecordFailure: {
+                        target: "test20_6",
+                        actions: [
+                          (_, evt) => out(
+                            `failed transaction was rolled back: ${
+                              evt.code
+                            }`,
+                            evt.code === "ENOENT" ? "INFO" : "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_6: {
+                    entry: [
+                      () => out(
+                        "bulk writing into /scaffold/ with reads sent alongside"
+                      ),
+                      assign(ctx => ({
+                        ...ctx,
+                        bulkWritePending: true,
+                        concurrentReadsPending: 2
+                      })),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "transaction",
+                          requestId: "bulkWrite",
+                          data: {
+                            steps: Array.from(
+                              {
+                                length: 200
+                              },
+                              (_, i) => ({
+                                type: "createFile",
+                                data: {
+                                  name: `bulk${i}.txt`,
+                                  content: `bulk file ${i}`,
+                                  parentPath: "/scaffold/"
+                                }
+                              })
+                            )
+                          }
+                        }
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "ripFilesystemToJSON",
+                          requestId: "concurrentRip"
+                        }
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "getDirectoryRecord",
+                          requestId: "concurrentCwd"
+                        }
+                      )
+                    ],
+                    always: {
+                      target: "test20_7",
+                      cond: ctx => !ctx.bulkWritePending && ctx.concurrentReadsPending === 0
+                    },
+                    on: {
+                      ripFilesystemToJSONSuccess: {
+                        actions: [
+                          ctx => out(
+                            `concurrent rip finished ${
+                              ctx.bulkWritePending ? "while the bulk write was in flight" : "after the bulk write"
+                            }`,
+                            ctx.bulkWritePending ? "INFO" : "ERROR"
+                          ),
+                          assign(ctx => ({
+                            ...ctx,
+                            concurrentReadsPending: ctx.concurrentReadsPending - 1
+                          }))
+                        ]
+                      },
+                      getDirectoryRecordSuccess: {
+                        actions: [
+                          ctx => out(
+                            `concurrent cwd read finished ${
+                              ctx.bulkWritePending ? "while the bulk write was in flight" : "after the bulk write"
+                            }`,
+                            ctx.bulkWritePending ? "INFO" : "ERROR"
+                          ),
+                          assign(ctx => ({
+                            ...ctx,
+                            concurrentReadsPending: ctx.concurrentReadsPending - 1
+                          }))
+                        ]
+                      },
+                      transactionSuccess: {
+                        actions: [
+                          (_, evt) => out(
+                            `bulk write created ${
+                              evt.results.length
+                            } files`
+                          ),
+                          assign(ctx => ({
+                            ...ctx,
+                            bulkWritePending: false
+                          }))
+                        ]
+                      },
+                      transactionFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `bulk write fail at step ${
+                              evt.failedStep
+                            }: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      commandRejectedBusy: {
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.command
+                            } was rejected as busy instead of running alongside the bulk write`,
+                            "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_7: {
+                    entry: [
+                      () => out(
+                        "reading /scaffold/ from several readers at once"
+                      ),
+                      assign(ctx => ({
+                        ...ctx,
+                        sharedReadsPending: 4
+                      })),
+                      ...[1, 2].map(
+                        i => sendTo(
+                          "fsActor",
+                          {
+                            type: "getDirectoryRecord",
+                            requestId: `sharedDirRead${i}`,
+                            data: {
+                              path: "/scaffold/"
+                            }
+                          }
+                        )
+                      ),
+                      ...[1, 2].map(
+                        i => sendTo(
+                          "fsActor",
+                          {
+                            type: "readFile",
+                            requestId: `sharedFileRead${i}`,
+                            data: {
+                              path: "/scaffold/index.js"
+                            }
+                          }
+                        )
+                      )
+                    ],
+                    always: {
+                      target: "test20_8",
+                      cond: ctx => ctx.sharedReadsPending === 0
+                    },
+                    on: {
+                      getDirectoryRecordSuccess: {
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.requestId
+                            } listed ${
+                              evt.data.childKeys.length
+                            } entries under a shared lock`
+                          ),
+                          assign(ctx => ({
+                            ...ctx,
+                            sharedReadsPending: ctx.sharedReadsPending - 1
+                          }))
+                        ]
+                      },
+                      readFileSuccess: {
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.requestId
+                            } read ${
+                              evt.file.path
+                            } under a shared lock`
+                          ),
+                          assign(ctx => ({
+                            ...ctx,
+                            sharedReadsPending: ctx.sharedReadsPending - 1
+                          }))
+                        ]
+                      },
+                      getDirectoryRecordFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.requestId
+                            } failed alongside other readers: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      readFileFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.requestId
+                            } failed alongside other readers: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_8: {
+                    entry: [
+                      () => out(
+                        "listing locks while idle"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "listLocks"
+                        }
+                      )
+                    ],
+                    on: {
+                      listLocksSuccess: {
+                        target: "test20_9",
+                        actions: [
+                          (_, evt) => out(
+                            `locks: ${
+                              JSON.stringify(
+                                evt.locks.filter(
+                                  l => !l.expired
+                                )
+                              )
+                            }`,
+                            evt.locks.some(
+                              l => !l.expired
+                            ) ? "ERROR" : "INFO"
+                          )
+                        ]
+                      },
+                      listLocksFailure: {
+                        actions: [
+                          (_, evt) => out(
+                            `list locks fail: ${
+                              evt.msg
+                            }`,
+                            "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_9: {
+                    entry: [
+                      () => out(
+                        "reading a missing file reports ENOENT"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "readFile",
+                          data: {
+                            path: "/scaffold/missing.js"
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      readFileSuccess: {
+                        target: "test20_10",
+                        actions: [
+                          () => out(
+                            "read a file that does not exist",
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      readFileFailure: {
+                        target: "test20_10",
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.code
+                            } ${
+                              evt.path
+                            } (${
+                              evt.operation
+                            }): ${
+                              evt.msg
+                            }`,
+                            evt.code === "ENOENT" && evt.path === "/scaffold/missing.js" && evt.operation === "readFile" ? "INFO" : "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
+                  test20_10: {
+                    entry: [
+                      () => out(
+                        "creating an existing directory reports EEXIST"
+                      ),
+                      sendTo(
+                        "fsActor",
+                        {
+                          type: "createDirectory",
+                          data: {
+                            name: "scaffold",
+                            parentPath: "/"
+                          }
+                        }
+                      )
+                    ],
+                    on: {
+                      createDirectorySuccess: {
+                        target: "test21",
+                        actions: [
+                          () => out(
+                            "created /scaffold/ twice",
+                            "ERROR"
+                          )
+                        ]
+                      },
+                      createDirectoryFailure: {
+                        target: "test21",
+                        actions: [
+                          (_, evt) => out(
+                            `${
+                              evt.code
+                            } ${
+                              evt.path
+                            } (${
+                              evt.operation
+                            }): ${
+                              evt.msg
+                            }`,
+                            evt.code === "EEXIST" && evt.path === "/scaffold/" && evt.operation === "createDirectory" ? "INFO" : "ERROR"
+                          )
+                        ]
+                      }
+                    }
+                  },
                   test21: {
                     entry: [
                       sendTo(
@@ -1196,18 +1905,10 @@ function storageHierarchyTest() {
                     }
                   },
                   test22: {
-                    // re-init fs 
+                    // a restore leaves the restored fs open, no init needed
                     entry: [
                       () => out(
-                        "re-initializing fs"
-                      ),
-                      sendTo(
-                        "fsActor",
-                        {
-                          type: "init",
-                          filesystemName: "restoredFs",
-                          version: 1
-                        }
+                        "waiting for the restored fs"
                       )
                     ],
                     on: {
@@ -1236,12 +1937,24 @@ function storageHierarchyTest() {
                     ],
                     on: {
                       ripFilesystemToJSONSuccess: {
+                        target: "#storageHierarchyTester.finished",
                         actions: [
                           (_, evt) => out(
                             `got fs json: ${
                               evt.backup
                             }`
                           ),
+                          (ctx, evt) => {
+                            const paths = backup => JSON.parse(
+                              backup
+                            ).entity.map(
+                              e => e.path
+                            ).join()
+                            out(
+                              "restored fs holds the backed up entities",
+                              paths(evt.backup) === paths(ctx.backupForRestoreTest) ? "INFO" : "ERROR"
+                            )
+                          },
                           assign((ctx, evt) => ({
                             ...ctx,
                             backupForRestoreTest: evt.backup
@@ -1253,7 +1966,8 @@ function storageHierarchyTest() {
                           (_, evt) => out(
                             `rip fs to json fail: ${
                               JSON.stringify(evt)
-                            }`
+                            }`,
+                            "ERROR"
                           )
                         ]
                       }
@@ -1262,12 +1976,22 @@ function storageHierarchyTest() {
                 }
               }
             }
+          },
+          finished: {
+            type: "final"
           }
         }
       }
     )
   );
-  tester.start()
+  return new Promise(
+    res => {
+      tester.onDone(() => {
+        tester.stop()
+        res()
+      }).start()
+    }
+  )
 }
 
 export default storageHierarchyTest
\ No newline at end of file